@@ -1,10 +1,17 @@
 import logger from './src/utils/logger.js';
-import { jobsConfig } from './src/config/index.js';
+import { appConfig, sankhyaConfig, onConfigChange, watchConfig } from './src/config/index.js';
+import { loadConnectorInstances } from './src/config/connectors.js';
 import { createJobLoop } from './src/jobs/job.scheduler.js';
-
-// Jobs
-import * as atualcargoJob from './src/jobs/atualcargo.job.js';
-import * as sitraxJob from './src/jobs/sitrax.job.js';
+import { createTrackerJob } from './src/jobs/tracker.job.js';
+import { registerJob } from './src/jobs/job.registry.js';
+import { registerPositionObserver } from './src/jobs/position.observers.js';
+import { startUnregisteredReport } from './src/sankhya/sankhya.unregistered.js';
+import { discoverConnectors, createConnector } from './src/connectors/connector.registry.js';
+import { startHttpServer } from './src/server/http.server.js';
+import { registerHealthRoutes } from './src/server/health.routes.js';
+import { registerMetricsRoutes } from './src/server/metrics.routes.js';
+import { registerAdminRoutes } from './src/server/admin.routes.js';
+import { acquireDataLock } from './src/storage/data.lock.js';
 
 // --- Capturadores Globais ---
 process.on('uncaughtException', (error) => {
@@ -19,20 +26,122 @@ process.on('unhandledRejection', (reason, promise) => {
 // --- Iniciar o Hub ---
 logger.info('[Serviço] Iniciando Hub de Integração de Rastreamento...');
 
-// Inicia o job da Atualcargo
-if (jobsConfig.atualcargo.enabled) {
-  createJobLoop(
-    'Atualcargo',
-    atualcargoJob.run,
-    jobsConfig.atualcargo.interval
-  );
+// Único processo gravando em DATA_DIR: aguarda um reprocessamento da dead-letter em andamento
+await acquireDataLock('hub', { dir: appConfig.dataDir, wait: true });
+
+if (appConfig.dryRun) {
+  logger.warn(`[Serviço] Modo DRY-RUN: nada será gravado no Sankhya. Payloads em ${appConfig.dryRunOutput}.`);
+} else if (sankhyaConfig.shadowUrl) {
+  logger.info(`[Serviço] Modo shadow: cada ciclo também é simulado em ${sankhyaConfig.shadowUrl}. Payloads em ${appConfig.dryRunOutput}.`);
+}
+
+// Observadores das posições padronizadas
+if (appConfig.geofenceSource) {
+  const { geofenceObserver } = await import('./src/geofence/geofence.engine.js');
+  registerPositionObserver(geofenceObserver);
+}
+
+if (appConfig.iscaMonitorEnabled) {
+  const { iscaMonitorObserver } = await import('./src/iscas/isca.monitor.js');
+  registerPositionObserver(iscaMonitorObserver);
+}
+
+if (appConfig.presenceEnabled) {
+  const { presenceObserver, startPresenceCheck } = await import('./src/devices/device.presence.js');
+  registerPositionObserver(presenceObserver);
+  startPresenceCheck();
+}
+
+// Inicia um job para cada instância de conector habilitada (CONNECTORS_FILE ou jobsConfig)
+await discoverConnectors();
+
+// Instâncias conhecidas: { loop (null enquanto desabilitada), config }
+const startedJobs = new Map();
+
+// Campos da instância aplicados sem reiniciar o hub
+const SCHEDULE_FIELDS = ['interval', 'cron', 'windows', 'jitter', 'cycleTimeout'];
+const RELOADABLE_INSTANCE_FIELDS = ['enabled', ...SCHEDULE_FIELDS];
+
+// Agenda do job (ver createJobLoop)
+const scheduleOf = (config) => Object.fromEntries(SCHEDULE_FIELDS.map((field) => [field, config[field]]));
+const restartOnlyFields = (config) => JSON.stringify(
+  Object.fromEntries(Object.entries(config).filter(([field]) => !RELOADABLE_INSTANCE_FIELDS.includes(field)))
+);
+
+function startJob(config) {
+  const job = createTrackerJob(createConnector(config.type, config), { sankhya: config.sankhya });
+  const loop = createJobLoop(job.name, job.run, scheduleOf(config));
+  registerJob(job.name, { loop, state: job.state });
+  return loop;
 }
 
-// Inicia o job da Santos e Zanon (Sitrax)
-if (jobsConfig.sitrax.enabled) {
-  createJobLoop(
-    'Sitrax',
-    sitraxJob.run,
-    jobsConfig.sitrax.interval
-  );
-}
\ No newline at end of file
+/**
+ * Alinha os jobs em execução às instâncias configuradas: inicia as instâncias
+ * habilitadas, pausa/retoma as desabilitadas/reabilitadas e aplica novas agendas.
+ * Outras alterações de uma instância exigem reiniciar o hub.
+ */
+function syncJobs(instances) {
+  for (const config of instances) {
+    const key = config.name || config.type;
+    const known = startedJobs.get(key);
+
+    if (!known) {
+      if (!config.enabled) logger.info(`[Serviço] Conector [${key}] desabilitado. Ignorado.`);
+      startedJobs.set(key, { loop: config.enabled ? startJob(config) : null, config });
+      continue;
+    }
+
+    const previous = known.config;
+    known.config = config;
+
+    if (!known.loop) {
+      if (config.enabled) {
+        logger.info(`[Serviço] Conector [${key}] habilitado pela configuração.`);
+        known.loop = startJob(config);
+      }
+      continue;
+    }
+
+    if (previous.enabled !== config.enabled) {
+      logger.info(`[Serviço] Conector [${key}] ${config.enabled ? 'habilitado' : 'desabilitado'} pela configuração.`);
+      if (config.enabled) known.loop.resume(); else known.loop.pause();
+    }
+    if (JSON.stringify(scheduleOf(previous)) !== JSON.stringify(scheduleOf(config))) {
+      known.loop.setSchedule(scheduleOf(config));
+    }
+    if (restartOnlyFields(previous) !== restartOnlyFields(config)) {
+      logger.warn(`[Serviço] Conector [${key}] alterado além de ${RELOADABLE_INSTANCE_FIELDS.join('/')}: aplicado ao reiniciar o hub.`);
+    }
+  }
+
+  const configured = new Set(instances.map((config) => config.name || config.type));
+  for (const [key, known] of startedJobs) {
+    if (!configured.has(key) && known.config.enabled) {
+      logger.warn(`[Serviço] Conector [${key}] removido da configuração. Job pausado.`);
+      known.loop.pause();
+      known.config = { ...known.config, enabled: false };
+    }
+  }
+}
+
+syncJobs(loadConnectorInstances());
+
+// Recarga da configuração (SIGHUP ou alteração do .env / CONNECTORS_FILE)
+onConfigChange(() => {
+  try {
+    syncJobs(loadConnectorInstances());
+  } catch (error) {
+    logger.error(`[Serviço] Instâncias de conectores mantidas. ${error.message}`);
+  }
+});
+watchConfig();
+
+startUnregisteredReport();
+
+// Servidor HTTP de health/status/métricas
+if (appConfig.httpEnabled) {
+  registerHealthRoutes();
+  registerMetricsRoutes();
+  registerAdminRoutes();
+  startHttpServer(appConfig.httpPort);
+}
@@ -0,0 +1,104 @@
+/**
+ * CLI da dead-letter: lista, inspeciona, corrige e reprocessa registros com falha.
+ *
+ * Uso:
+ *   npm run deadletter -- list [--source Sitrax]
+ *   npm run deadletter -- show <id>
+ *   npm run deadletter -- edit <id> '{"lat": -23.55}'   (mescla o JSON no payload)
+ *   npm run deadletter -- replay <id> | --all [--source Sitrax] [--contingency]
+ *   npm run deadletter -- delete <id>
+ *
+ * O replay grava o estado do hub (marcas d'água, ledger): pare o hub antes de executá-lo.
+ */
+import { appConfig } from '../config/index.js';
+import { acquireDataLock } from '../storage/data.lock.js';
+import { DataLockError } from '../utils/errors.js';
+import { deadLetters, replayDeadLetter } from '../jobs/job.deadletter.js';
+
+const [command, ...args] = process.argv.slice(2);
+
+function option(name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? null : args[index + 1];
+}
+
+function requireEntry(id) {
+  const entry = id && deadLetters.get(id);
+  if (!entry) {
+    console.error(`Entrada "${id}" não encontrada.`);
+    process.exit(1);
+  }
+  return entry;
+}
+
+async function main() {
+  switch (command) {
+    case 'list': {
+      const source = option('source');
+      const entries = deadLetters.list().filter((e) => !source || e.source === source);
+      console.table(entries.map(({ id, stage, source, attempts, lastFailedAt, error }) => ({
+        id, stage, source, attempts, lastFailedAt, error: error.slice(0, 80),
+      })));
+      console.log(`${entries.length} entradas.`);
+      break;
+    }
+
+    case 'show':
+      console.log(JSON.stringify(requireEntry(args[0]), null, 2));
+      break;
+
+    case 'edit': {
+      const entry = requireEntry(args[0]);
+      let changes;
+      try {
+        changes = JSON.parse(args[1]);
+      } catch (error) {
+        console.error(`JSON inválido: ${error.message}`);
+        process.exit(1);
+      }
+      const updated = deadLetters.update(entry.id, (current) => ({
+        ...current,
+        payload: { ...current.payload, ...changes },
+      }));
+      console.log(JSON.stringify(updated.payload, null, 2));
+      break;
+    }
+
+    case 'replay': {
+      const contingency = args.includes('--contingency');
+      const source = option('source');
+      const entries = args.includes('--all')
+        ? deadLetters.list().filter((e) => !source || e.source === source)
+        : [requireEntry(args[0])];
+
+      try {
+        await acquireDataLock('deadletter replay', { dir: appConfig.dataDir });
+      } catch (error) {
+        if (!(error instanceof DataLockError)) throw error;
+        console.error(`${error.message} Pare o hub antes de reprocessar a dead-letter.`);
+        process.exit(1);
+      }
+
+      let replayed = 0;
+      for (const entry of entries) {
+        const result = await replayDeadLetter(entry, { contingency });
+        if (result.ok) replayed++;
+      }
+      console.log(`${replayed}/${entries.length} entradas reprocessadas.`);
+      process.exitCode = replayed === entries.length ? 0 : 1;
+      break;
+    }
+
+    case 'delete':
+      requireEntry(args[0]);
+      deadLetters.remove([args[0]]);
+      console.log(`Entrada ${args[0]} removida.`);
+      break;
+
+    default:
+      console.log('Comandos: list, show <id>, edit <id> <json>, replay <id>|--all, delete <id>');
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+await main();
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { appConfig, jobsConfig, sankhyaConfig } from './index.js';
+import { ConfigError } from '../utils/errors.js';
+import { scheduleProblems } from '../jobs/job.schedule.js';
+
+/**
+ * Instâncias de conectores (contas nos fornecedores).
+ *
+ * Com CONNECTORS_FILE (JSON ou YAML), cada item de `connectors` declara uma instância:
+ *
+ *   connectors:
+ *     - name: Atualcargo-TransA        # Nome do job (único): logs, fila, status, ledger
+ *       type: atualcargo               # Conector (ver src/connectors)
+ *       enabled: true
+ *       interval: 300000
+ *       cron: '*\/10 * * * *'         # Opcional: substitui o intervalo (ver job.schedule.js)
+ *       windows:                       # Opcional: intervalos por dia e horário
+ *         - '1-5 07:00-19:00 60000'
+ *       jitter: 30000                  # Opcional: atraso aleatório máximo da 1ª execução
+ *       cycleTimeout: 900000           # Opcional: timeout de cada ciclo (0 = sem timeout)
+ *       fabricanteId: '2'
+ *       apiKey: ${ATUALCARGO_TRANSA_KEY}   # ${VAR} é lido do ambiente
+ *       username: transa
+ *       password: ${ATUALCARGO_TRANSA_PASSWORD}
+ *       sankhya:                       # Opcional: outro Sankhya de destino
+ *         url: https://transa.sankhya.example
+ *         username: integracao
+ *         password: ${SANKHYA_TRANSA_PASSWORD}
+ *
+ * Campos omitidos usam os valores de jobsConfig do mesmo tipo (variáveis de ambiente),
+ * e o `sankhya` omitido usa o Sankhya principal. Sem CONNECTORS_FILE, cada entrada de
+ * jobsConfig é uma instância sem `name`, que recebe o nome do conector (configuração anterior).
+ */
+
+// Substitui ${VAR} pelas variáveis de ambiente (segredos fora do arquivo)
+function interpolate(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] ?? '');
+  }
+  if (Array.isArray(value)) return value.map(interpolate);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, interpolate(v)]));
+  }
+  return value;
+}
+
+function readFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+}
+
+/**
+ * Valida as instâncias, reunindo todos os problemas em um único erro.
+ */
+function validate(instances, filePath) {
+  const problems = [];
+  const names = new Set();
+
+  instances.forEach((instance, index) => {
+    const label = `connectors[${index}]${instance.name ? ` (${instance.name})` : ''}`;
+    if (!instance.name) problems.push(`${label}: "name" é obrigatório.`);
+    if (names.has(instance.name)) problems.push(`${label}: nome repetido.`);
+    names.add(instance.name);
+    if (!jobsConfig[instance.type]) problems.push(`${label}: "type" inválido (${instance.type}).`);
+    if (typeof instance.enabled !== 'boolean') problems.push(`${label}: "enabled" deve ser true ou false.`);
+    if (!(Number(instance.interval) > 0)) problems.push(`${label}: "interval" deve ser um número positivo.`);
+    if (!instance.sankhya.url) problems.push(`${label}: URL do Sankhya não definida.`);
+    if (!(Number(instance.cycleTimeout) >= 0)) problems.push(`${label}: "cycleTimeout" deve ser um número >= 0.`);
+    scheduleProblems(instance).forEach((problem) => problems.push(`${label}: ${problem}`));
+  });
+
+  if (problems.length > 0) throw new ConfigError(problems, filePath);
+}
+
+/**
+ * Carrega as instâncias de conectores. O arquivo é relido a cada chamada, para que a
+ * recarga da configuração (ver reloadConfig) reflita as alterações.
+ * @returns {Array<Object>} Configuração de cada instância ({ name?, type, enabled, interval,
+ *   cron, windows, jitter, cycleTimeout, fabricanteId, sankhya: { url, contingencyUrl, username,
+ *   password }, ...campos do conector })
+ */
+export function loadConnectorInstances() {
+  const filePath = appConfig.connectorsFile;
+
+  if (!filePath) {
+    return Object.entries(jobsConfig).map(([type, config]) => ({
+      ...config,
+      type,
+      sankhya: { ...sankhyaConfig },
+    }));
+  }
+
+  const entries = interpolate(readFile(filePath))?.connectors;
+  if (!Array.isArray(entries)) {
+    throw new ConfigError(['lista "connectors" não encontrada.'], filePath);
+  }
+
+  const instances = entries.map(({ sankhya, ...entry }) => ({
+    ...jobsConfig[entry.type],
+    enabled: true,
+    ...entry,
+    interval: Number(entry.interval ?? jobsConfig[entry.type]?.interval),
+    jitter: Number(entry.jitter ?? jobsConfig[entry.type]?.jitter ?? 0),
+    cycleTimeout: Number(entry.cycleTimeout ?? jobsConfig[entry.type]?.cycleTimeout),
+    fabricanteId: String(entry.fabricanteId ?? jobsConfig[entry.type]?.fabricanteId),
+    // Outro destino não herda a contingência nem as credenciais do Sankhya principal
+    sankhya: sankhya?.url && sankhya.url !== sankhyaConfig.url
+      ? { contingencyUrl: null, ...sankhya }
+      : { ...sankhyaConfig, ...sankhya },
+  }));
+
+  validate(instances, filePath);
+  return instances;
+}
+
+/**
+ * Encontra uma instância pelo nome ou, na falta dele, pelo tipo do conector.
+ * @param {string} nameOrType - Ex: 'Atualcargo-TransA' ou 'sitrax'
+ * @returns {Object|null}
+ */
+export function findConnectorInstance(nameOrType) {
+  const instances = loadConnectorInstances();
+  const wanted = String(nameOrType).toLowerCase();
+  return instances.find((i) => i.name?.toLowerCase() === wanted)
+    || instances.find((i) => i.type === wanted)
+    || null;
+}
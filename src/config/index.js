@@ -1,59 +1,345 @@
-import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
 import logger from '../utils/logger.js';
+import { ConfigError } from '../utils/errors.js';
+import { int, bool, string, url, list, numbers, parseSchema, diffSchema } from './schema.js';
+import { scheduleProblems } from '../jobs/job.schedule.js';
 
-// Validação de variáveis essenciais
-const requiredEnvVars = [
-  'SANKHYA_URL',
-  'SANKHYA_USER',
-  'SANKHYA_PASSWORD',
-  'JOB_RETRY_DELAY_MS',
-  'REQUEST_TIMEOUT_MS',
-];
-
-for (const varName of requiredEnvVars) {
-  if (!process.env[varName]) {
-    const errorMsg = `Variável de ambiente obrigatória ${varName} não definida.`;
-    logger.error(errorMsg);
-    throw new Error(errorMsg);
-  }
-}
+/**
+ * Configuração única do hub, lida das variáveis de ambiente (e do arquivo .env) e
+ * validada pelo schema abaixo. Todos os valores inválidos ou ausentes são reportados
+ * juntos em um ConfigError.
+ *
+ * Os objetos exportados são os mesmos durante toda a execução: reloadConfig() altera
+ * neles apenas os campos com `reload: true`.
+ */
 
-// Configurações Globais
-export const appConfig = {
-  logLevel: process.env.LOG_LEVEL || 'info',
-  timeout: Number(process.env.REQUEST_TIMEOUT_MS),
-  jobRetryDelayMs: Number(process.env.JOB_RETRY_DELAY_MS),
-  sankhyaRetryLimit: Number(process.env.SANKHYA_RETRY_LIMIT_BEFORE_SWAP) || 2,
+// --- Schema ---
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+const appSchema = {
+  logLevel: string('LOG_LEVEL', { default: 'info', values: LOG_LEVELS, reload: true }),
+  timeout: int('REQUEST_TIMEOUT_MS', { default: 120000, min: 1000 }),
+
+  // Tempo de espera do Job após um erro
+  jobRetryDelayMs: int('JOB_RETRY_DELAY_MS', { default: 60000, min: 0, reload: true }),
+
+  // Falhas de rede seguidas no Sankhya principal antes de usar a contingência
+  sankhyaRetryLimit: int('SANKHYA_RETRY_LIMIT_BEFORE_SWAP', { default: 2, min: 1, reload: true }),
+  // Na contingência: intervalo dos testes da URL principal e testes bem-sucedidos
+  // seguidos para voltar a ela
+  sankhyaProbeIntervalMs: int('SANKHYA_PROBE_INTERVAL_MS', { default: 30000, min: 1000, reload: true }),
+  sankhyaProbeSuccesses: int('SANKHYA_PROBE_SUCCESSES', { default: 2, min: 1, reload: true }),
+
+  // Lotes do Sankhya: itens por IN (...) (limite Oracle: 1000), registros por DatasetSP.save
+  // e quantidade de lotes enviados em paralelo
+  sankhyaLookupChunkSize: int('SANKHYA_LOOKUP_CHUNK_SIZE', { default: 500, min: 1, max: 1000, reload: true }),
+  sankhyaInsertChunkSize: int('SANKHYA_INSERT_CHUNK_SIZE', { default: 200, min: 1, reload: true }),
+  sankhyaChunkConcurrency: int('SANKHYA_CHUNK_CONCURRENCY', { default: 2, min: 1, reload: true }),
+
+  // Cache de cadastros (TGFVEI / AD_CADISCA) e de identificadores não cadastrados
+  registrationTtlMs: int('REGISTRATION_CACHE_TTL_MS', { default: 3600000, min: 0, reload: true }),
+  registrationNegativeTtlMs: int('REGISTRATION_CACHE_NEGATIVE_TTL_MS', { default: 300000, min: 0, reload: true }),
+
+  // Retenção das chaves do ledger de entregas (padrão: 7 dias)
+  ledgerRetentionMs: int('LEDGER_RETENTION_MS', { default: 604800000, min: 1 }),
+
+  // Geocercas: origem 'file' (GEOFENCE_FILE) ou 'sankhya' (AD_CERCA). Vazio desativa.
+  geofenceSource: string('GEOFENCE_SOURCE', { values: ['file', 'sankhya'] }),
+  geofenceFile: string('GEOFENCE_FILE', { default: 'geofences.json' }),
+  geofenceReloadMs: int('GEOFENCE_RELOAD_MS', { default: 600000, min: 1000, reload: true }),
+
+  // Monitor de iscas (vínculo isca -> veículo em AD_ISCAVEI)
+  iscaMonitorEnabled: bool('ISCA_MONITOR_ENABLED', { default: false }),
+  // Distância máxima entre isca e caminhão (metros) e tempo tolerado acima dela
+  iscaMaxDistanceM: int('ISCA_MAX_DISTANCE_M', { default: 1000, min: 1, reload: true }),
+  iscaMaxSeparationMs: int('ISCA_MAX_SEPARATION_MS', { default: 600000, min: 0, reload: true }),
+  // Deslocamento mínimo da isca (metros) para considerá-la em movimento
+  iscaMoveMinM: int('ISCA_MOVE_MIN_M', { default: 300, min: 1, reload: true }),
+  iscaAssociationReloadMs: int('ISCA_ASSOCIATION_RELOAD_MS', { default: 600000, min: 1000, reload: true }),
+
+  // Relatório de dispositivos não cadastrados (log + arquivo) e cadastro automático
+  // de iscas inativas em AD_CADISCA
+  unregisteredReportMs: int('UNREGISTERED_REPORT_MS', { default: 3600000, min: 1000 }),
+  unregisteredAutoRegister: bool('UNREGISTERED_AUTO_REGISTER', { default: false, reload: true }),
+
+  // Filtro de sanidade das posições (entre os mappers e o Sankhya)
+  positionFilterEnabled: bool('POSITION_FILTER_ENABLED', { default: true, reload: true }),
+  // Limites "latMin,latMax,lonMin,lonMax" (padrão: Brasil, incluindo ilhas oceânicas)
+  positionBounds: numbers('POSITION_BOUNDS', { default: [-34, 5.5, -74.1, -28.6], length: 4, reload: true }),
+  // Velocidade máxima implícita entre duas posições aceitas do mesmo dispositivo
+  positionMaxSpeedKmh: int('POSITION_MAX_SPEED_KMH', { default: 250, min: 1, reload: true }),
+  // Tolerância para datas no futuro (relógio do rastreador adiantado)
+  positionMaxClockSkewMs: int('POSITION_MAX_CLOCK_SKEW_MS', { default: 600000, min: 0, reload: true }),
+  // Posições rejeitadas mantidas em quarentena
+  quarantineMaxPositions: int('QUARANTINE_MAX_POSITIONS', { default: 10000, min: 1 }),
+
+  // Tentativas com erro não transitório (ex: recusa do Sankhya) antes da dead-letter
+  deadLetterMaxAttempts: int('DEAD_LETTER_MAX_ATTEMPTS', { default: 3, min: 1, reload: true }),
+
+  // Presença dos dispositivos (online / atrasado / offline) pela data da última posição
+  presenceEnabled: bool('PRESENCE_ENABLED', { default: false }),
+  presenceCheckMs: int('PRESENCE_CHECK_MS', { default: 60000, min: 1000 }),
+  presenceThresholds: {
+    vehicle: {
+      delayedMs: int('PRESENCE_VEHICLE_DELAYED_MS', { default: 1800000, min: 1, reload: true }), // 30 min
+      offlineMs: int('PRESENCE_VEHICLE_OFFLINE_MS', { default: 7200000, min: 1, reload: true }), // 2 h
+    },
+    isca: {
+      delayedMs: int('PRESENCE_ISCA_DELAYED_MS', { default: 3600000, min: 1, reload: true }), // 1 h
+      offlineMs: int('PRESENCE_ISCA_OFFLINE_MS', { default: 14400000, min: 1, reload: true }), // 4 h
+    },
+  },
+
+  // Dry-run: extrai, mapeia e consulta o Sankhya, mas grava os payloads do DatasetSP.save
+  // em DRY_RUN_OUTPUT ('stdout' ou arquivo JSONL) em vez de enviá-los. Também usado pelo shadow.
+  dryRun: bool('DRY_RUN', { default: false }),
+  dryRunOutput: string('DRY_RUN_OUTPUT', { default: (env) => `${env.DATA_DIR || 'data'}/dry-run.jsonl` }),
+
+  // Diretório de dados locais (fila persistente de posições)
+  dataDir: string('DATA_DIR', { default: 'data' }),
+  queueMaxPositions: int('QUEUE_MAX_POSITIONS', { default: 50000, min: 1 }),
+
+  // Chamadas aos fornecedores (ver connector.resilience.js): novas tentativas em falhas de
+  // rede/5xx com backoff exponencial e jitter, e circuito aberto após falhas seguidas
+  // (ou no rate limit), pelo tempo do Retry-After ou backoff de CIRCUIT_OPEN_MS até CIRCUIT_OPEN_MAX_MS
+  connectorRetryAttempts: int('CONNECTOR_RETRY_ATTEMPTS', { default: 2, min: 0, reload: true }),
+  connectorBackoffBaseMs: int('CONNECTOR_BACKOFF_BASE_MS', { default: 1000, min: 0, reload: true }),
+  connectorBackoffMaxMs: int('CONNECTOR_BACKOFF_MAX_MS', { default: 30000, min: 0, reload: true }),
+  circuitFailureThreshold: int('CIRCUIT_FAILURE_THRESHOLD', { default: 3, min: 1, reload: true }),
+  circuitOpenMs: int('CIRCUIT_OPEN_MS', { default: 60000, min: 1000, reload: true }),
+  circuitOpenMaxMs: int('CIRCUIT_OPEN_MAX_MS', { default: 900000, min: 1000, reload: true }), // 15 min
+
+  // Instâncias de conectores (ver src/config/connectors.js)
+  connectorsFile: string('CONNECTORS_FILE'),
+  // Recarrega a configuração quando o .env ou o CONNECTORS_FILE forem alterados
+  // (o SIGHUP recarrega sempre)
+  configWatch: bool('CONFIG_WATCH', { default: true }),
+
+  // Servidor HTTP (health/status)
+  httpEnabled: bool('HTTP_ENABLED', { default: true }),
+  httpPort: int('HTTP_PORT', { default: 3000, min: 1, max: 65535 }),
+  // Tempo máximo desde o último ciclo bem-sucedido para considerar o hub pronto
+  readyMaxAgeMs: int('READY_MAX_AGE_MS', { default: 900000, min: 1000, reload: true }),
+
+  // Token da API admin (rotas /admin desabilitadas se vazio)
+  adminToken: string('ADMIN_TOKEN'),
 };
 
-// Configuração do Sankhya
-export const sankhyaConfig = {
-  url: process.env.SANKHYA_URL,
-  contingencyUrl: process.env.SANKHYA_CONTINGENCY_URL || null,
-  username: process.env.SANKHYA_USER,
-  password: process.env.SANKHYA_PASSWORD,
-  iscaDatasetId: process.env.SANKHYA_ISCA_DATASET_ID || '02S',
+const sankhyaSchema = {
+  url: url('SANKHYA_URL', { required: true }),
+  contingencyUrl: url('SANKHYA_CONTINGENCY_URL'),
+  username: string('SANKHYA_USER', { required: true }),
+  password: string('SANKHYA_PASSWORD', { required: true }),
+  // Shadow: Sankhya paralelo em que cada ciclo real é simulado (dry-run), para comparação
+  shadowUrl: url('SANKHYA_SHADOW_URL'),
+  shadowUsername: string('SANKHYA_SHADOW_USER', { default: (env) => env.SANKHYA_USER }),
+  shadowPassword: string('SANKHYA_SHADOW_PASSWORD', { default: (env) => env.SANKHYA_PASSWORD }),
+  iscaDatasetId: string('SANKHYA_ISCA_DATASET_ID', { default: '02S' }),
+  geofenceEventDatasetId: string('SANKHYA_GEOFENCE_EVENT_DATASET_ID', { default: '01S' }),
+  iscaAlertDatasetId: string('SANKHYA_ISCA_ALERT_DATASET_ID', { default: '01S' }),
+  iscaRegistrationDatasetId: string('SANKHYA_ISCA_REGISTRATION_DATASET_ID', { default: '01S' }),
+  presenceEventDatasetId: string('SANKHYA_PRESENCE_EVENT_DATASET_ID', { default: '01S' }),
 };
 
-// Configuração dos Jobs (APIs de Rastreamento)
-export const jobsConfig = {
+const notificationsSchema = {
+  // --- Canais (cada canal é habilitado quando configurado) ---
+  webhookUrl: url('NOTIFY_WEBHOOK_URL'), // JSON genérico
+  chatWebhookUrl: url('NOTIFY_CHAT_WEBHOOK_URL'), // Payload { text } (Slack, Teams, Google Chat)
+  smtp: {
+    host: string('NOTIFY_SMTP_HOST'),
+    port: int('NOTIFY_SMTP_PORT', { default: 587, min: 1, max: 65535 }),
+    secure: bool('NOTIFY_SMTP_SECURE', { default: false }),
+    user: string('NOTIFY_SMTP_USER'),
+    password: string('NOTIFY_SMTP_PASSWORD'),
+    from: string('NOTIFY_EMAIL_FROM'),
+    to: list('NOTIFY_EMAIL_TO', { default: [] }),
+  },
+
+  // --- Gatilhos ---
+  failedCycles: int('NOTIFY_FAILED_CYCLES', { default: 3, min: 1, reload: true }), // Ciclos seguidos com erro
+  rateLimitCount: int('NOTIFY_RATE_LIMIT_COUNT', { default: 3, min: 1, reload: true }), // 425 seguidos da Atualcargo
+  loginFailures: int('NOTIFY_LOGIN_FAILURES', { default: 2, min: 1, reload: true }), // Falhas de login seguidas
+};
+
+// Jobs (APIs de rastreamento). Sem JOB_ENABLED_*, o job é habilitado quando configurado.
+const jobsSchema = {
+  // --- JOB 1: ATUALCARGO ---
   atualcargo: {
-    enabled: !!(process.env.ATUALCARGO_URL && process.env.ATUALCARGO_API_KEY),
-    interval: Number(process.env.JOB_INTERVAL_ATUALCARGO) || 300000,
-    url: process.env.ATUALCARGO_URL,
-    apiKey: process.env.ATUALCARGO_API_KEY,
-    username: process.env.ATUALCARGO_USERNAME,
-    password: process.env.ATUALCARGO_PASSWORD,
-    tokenExpirationMs: Number(process.env.ATUALCARGO_TOKEN_EXPIRATION_MS) || 270000,
-    fabricanteId: process.env.SANKHYA_ISCA_FABRICANTE_ID_ATUALCARGO || '2',
+    enabled: bool('JOB_ENABLED_ATUALCARGO', {
+      default: (env) => !!(env.ATUALCARGO_URL && env.ATUALCARGO_API_KEY),
+      reload: true,
+    }),
+    interval: int('JOB_INTERVAL_ATUALCARGO', { default: 300000, min: 1000, reload: true }), // 5 min
+    cron: string('JOB_CRON_ATUALCARGO', { reload: true }), // Substitui o intervalo (ver job.schedule.js)
+    windows: list('JOB_WINDOWS_ATUALCARGO', { separator: ';', default: [], reload: true }), // Janelas com intervalo próprio
+    jitter: int('JOB_JITTER_ATUALCARGO', { default: 0, min: 0, reload: true }), // Atraso aleatório máximo da 1ª execução
+    cycleTimeout: int('JOB_TIMEOUT_ATUALCARGO', { default: 900000, min: 0, reload: true }), // 15 min (0 = sem timeout)
+    url: url('ATUALCARGO_URL'),
+    apiKey: string('ATUALCARGO_API_KEY'),
+    username: string('ATUALCARGO_USERNAME'),
+    password: string('ATUALCARGO_PASSWORD'),
+    tokenExpirationMs: int('ATUALCARGO_TOKEN_EXPIRATION_MS', { default: 270000, min: 1000 }), // 4.5 min
+    fabricanteId: string('SANKHYA_ISCA_FABRICANTE_ID_ATUALCARGO', { default: '2' }),
   },
+
+  // --- JOB 2: SITRAX (Santos e Zanon) ---
   sitrax: {
-    enabled: !!(process.env.SITRAX_URL && process.env.SITRAX_LOGIN),
-    interval: Number(process.env.JOB_INTERVAL_SITRAX) || 300000,
-    url: process.env.SITRAX_URL,
-    login: process.env.SITRAX_LOGIN,
-    cgruChave: process.env.SITRAX_CGRUCHAVE,
-    cusuChave: process.env.SITRAX_CUSUCHAVE,
-    fabricanteId: process.env.SANKHYA_ISCA_FABRICANTE_ID_SITRAX || '3', // Default '3'
+    enabled: bool('JOB_ENABLED_SITRAX', {
+      default: (env) => !!(env.SITRAX_URL && env.SITRAX_LOGIN),
+      reload: true,
+    }),
+    interval: int('JOB_INTERVAL_SITRAX', { default: 300000, min: 1000, reload: true }), // 5 min
+    cron: string('JOB_CRON_SITRAX', { reload: true }), // Substitui o intervalo (ver job.schedule.js)
+    windows: list('JOB_WINDOWS_SITRAX', { separator: ';', default: [], reload: true }), // Janelas com intervalo próprio
+    jitter: int('JOB_JITTER_SITRAX', { default: 0, min: 0, reload: true }), // Atraso aleatório máximo da 1ª execução
+    cycleTimeout: int('JOB_TIMEOUT_SITRAX', { default: 900000, min: 0, reload: true }), // 15 min (0 = sem timeout)
+    url: url('SITRAX_URL'),
+    login: string('SITRAX_LOGIN'),
+    cgruChave: string('SITRAX_CGRUCHAVE'),
+    cusuChave: string('SITRAX_CUSUCHAVE'),
+    maxPages: int('SITRAX_MAX_PAGES', { default: 20, min: 1 }), // Páginas de pacotes por ciclo
+    fabricanteId: string('SANKHYA_ISCA_FABRICANTE_ID_SITRAX', { default: '3' }),
   },
-};
\ No newline at end of file
+};
+
+const schema = {
+  app: appSchema,
+  sankhya: sankhyaSchema,
+  notifications: notificationsSchema,
+  jobs: jobsSchema,
+};
+
+// Regras que envolvem mais de um campo
+function checkConsistency({ jobs }) {
+  const problems = [];
+  if (jobs.atualcargo.enabled && !(jobs.atualcargo.url && jobs.atualcargo.apiKey)) {
+    problems.push('JOB_ENABLED_ATUALCARGO: o job exige ATUALCARGO_URL e ATUALCARGO_API_KEY.');
+  }
+  if (jobs.sitrax.enabled && !(jobs.sitrax.url && jobs.sitrax.login)) {
+    problems.push('JOB_ENABLED_SITRAX: o job exige SITRAX_URL e SITRAX_LOGIN.');
+  }
+  for (const [name, { cron, windows }] of Object.entries(jobs)) {
+    const suffix = name.toUpperCase();
+    scheduleProblems({ cron }).forEach((problem) => problems.push(`JOB_CRON_${suffix}: ${problem}`));
+    scheduleProblems({ windows }).forEach((problem) => problems.push(`JOB_WINDOWS_${suffix}: ${problem}`));
+  }
+  return problems;
+}
+
+// --- Leitura ---
+
+const ENV_FILE = path.resolve('.env');
+
+// Variáveis definidas pelo processo (não pelo .env): têm precedência, como no dotenv
+const processEnv = { ...process.env };
+let envFileKeys = [];
+
+function readEnv() {
+  const fromFile = fs.existsSync(ENV_FILE) ? dotenv.parse(fs.readFileSync(ENV_FILE)) : {};
+  return { ...fromFile, ...processEnv };
+}
+
+// Reflete o .env em process.env (lido, por exemplo, na interpolação do CONNECTORS_FILE)
+function applyEnv(env) {
+  envFileKeys.filter((key) => !(key in env)).forEach((key) => delete process.env[key]);
+  envFileKeys = Object.keys(env).filter((key) => !(key in processEnv));
+  envFileKeys.forEach((key) => { process.env[key] = env[key]; });
+}
+
+function load(env) {
+  const { values, problems } = parseSchema(schema, env);
+  problems.push(...checkConsistency(values));
+  if (problems.length > 0) throw new ConfigError(problems);
+  return values;
+}
+
+let current;
+try {
+  const env = readEnv();
+  current = load(env);
+  applyEnv(env);
+} catch (error) {
+  // Um LOG_LEVEL inválido não pode esconder o próprio erro
+  if (!LOG_LEVELS.includes(logger.level)) logger.level = 'info';
+  logger.error(error.message);
+  throw error;
+}
+logger.level = current.app.logLevel;
+
+// Configurações Globais
+export const appConfig = structuredClone(current.app);
+// Configuração do Sankhya
+export const sankhyaConfig = structuredClone(current.sankhya);
+// Notificações de alertas operacionais
+export const notificationsConfig = structuredClone(current.notifications);
+// Configuração dos Jobs (APIs de Rastreamento)
+export const jobsConfig = structuredClone(current.jobs);
+
+const liveConfig = { app: appConfig, sankhya: sankhyaConfig, notifications: notificationsConfig, jobs: jobsConfig };
+
+// --- Recarga ---
+
+const listeners = [];
+
+/**
+ * Registra uma função chamada após cada recarga bem-sucedida da configuração.
+ * @param {Function} listener - (changes) => void, com os campos alterados
+ */
+export function onConfigChange(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Relê o .env e aplica os campos recarregáveis. Com qualquer valor inválido, nada
+ * é alterado e o ConfigError é lançado. Campos não recarregáveis alterados são
+ * apenas registrados no log (exigem reiniciar o hub).
+ * @returns {Array<Object>} Campos alterados (ver diffSchema)
+ */
+export function reloadConfig() {
+  const env = readEnv();
+  const next = load(env);
+  applyEnv(env);
+
+  const changes = diffSchema(schema, current, next);
+  for (const change of changes) {
+    if (!change.reload) {
+      logger.warn(`[Config] ${change.env} alterada, mas só é aplicada ao reiniciar o hub.`);
+      continue;
+    }
+    const parent = change.path.slice(0, -1).reduce((node, key) => node[key], liveConfig);
+    parent[change.path.at(-1)] = structuredClone(change.value);
+    logger.info(`[Config] ${change.env} alterada: ${JSON.stringify(change.previous)} -> ${JSON.stringify(change.value)}.`);
+  }
+  current = next;
+  logger.level = appConfig.logLevel;
+
+  listeners.forEach((listener) => listener(changes));
+  return changes;
+}
+
+function safeReload(reason) {
+  logger.info(`[Config] Recarregando a configuração (${reason})...`);
+  try {
+    reloadConfig();
+  } catch (error) {
+    logger.error(`[Config] Recarga ignorada, a configuração atual foi mantida. ${error.message}`);
+  }
+}
+
+/**
+ * Recarrega a configuração ao receber SIGHUP e, com CONFIG_WATCH, quando o .env ou o
+ * CONNECTORS_FILE forem alterados (verificação a cada 5s).
+ */
+export function watchConfig() {
+  process.on('SIGHUP', () => safeReload('SIGHUP'));
+  if (!appConfig.configWatch) return;
+
+  for (const file of [ENV_FILE, appConfig.connectorsFile].filter(Boolean)) {
+    fs.watchFile(path.resolve(file), { interval: 5000 }, (stat, previous) => {
+      if (stat.mtimeMs !== previous.mtimeMs) safeReload(`${path.basename(file)} alterado`);
+    });
+  }
+}
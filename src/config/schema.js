@@ -0,0 +1,105 @@
+/**
+ * Schema da configuração: cada campo descreve a variável de ambiente de origem, o tipo,
+ * o valor padrão e os limites aceitos. parseSchema() percorre o schema inteiro e reúne
+ * todos os problemas, em vez de parar no primeiro.
+ *
+ * Opções comuns dos campos:
+ * - default: valor (ou função (env) => valor) usado quando a variável está vazia
+ * - required: a variável é obrigatória
+ * - reload: o valor pode ser alterado sem reiniciar o hub (ver reloadConfig)
+ */
+
+const field = (type) => (env, options = {}) => ({ kind: 'field', type, env, ...options });
+
+export const int = field('int'); // { min, max }
+export const bool = field('bool');
+export const string = field('string'); // { values: lista de valores aceitos }
+export const url = field('url');
+export const list = field('list'); // Lista separada por vírgula { separator: outro separador }
+export const numbers = field('numbers'); // Números separados por vírgula { length }
+
+const isField = (node) => node?.kind === 'field';
+
+// Converte o texto da variável, retornando { value } ou { problem }
+const PARSERS = {
+  int(raw, { min, max }) {
+    const value = Number(raw);
+    if (!Number.isInteger(value)) return { problem: `"${raw}" não é um número inteiro.` };
+    if (min !== undefined && value < min) return { problem: `${value} é menor que o mínimo (${min}).` };
+    if (max !== undefined && value > max) return { problem: `${value} é maior que o máximo (${max}).` };
+    return { value };
+  },
+
+  bool(raw) {
+    if (raw !== 'true' && raw !== 'false') return { problem: `"${raw}" deve ser true ou false.` };
+    return { value: raw === 'true' };
+  },
+
+  string(raw, { values }) {
+    if (values && !values.includes(raw)) return { problem: `"${raw}" deve ser um de: ${values.join(', ')}.` };
+    return { value: raw };
+  },
+
+  url(raw) {
+    try {
+      const { protocol } = new URL(raw);
+      if (protocol !== 'http:' && protocol !== 'https:') throw new Error(protocol);
+      return { value: raw };
+    } catch {
+      return { problem: `"${raw}" não é uma URL http(s) válida.` };
+    }
+  },
+
+  list(raw, { separator = ',' }) {
+    return { value: raw.split(separator).map((s) => s.trim()).filter(Boolean) };
+  },
+
+  numbers(raw, { length }) {
+    const value = raw.split(',').map(Number);
+    if (value.some((n) => !Number.isFinite(n))) return { problem: `"${raw}" deve conter apenas números.` };
+    if (length !== undefined && value.length !== length) return { problem: `"${raw}" deve ter ${length} números.` };
+    return { value };
+  },
+};
+
+function parseField(node, env) {
+  const raw = env[node.env]?.trim();
+  if (raw === undefined || raw === '') {
+    if (node.required) return { problem: `${node.env}: obrigatória e não definida.` };
+    const fallback = typeof node.default === 'function' ? node.default(env) : node.default;
+    return { value: fallback ?? null };
+  }
+  const { value, problem } = PARSERS[node.type](raw, node);
+  return problem ? { problem: `${node.env}: ${problem}` } : { value };
+}
+
+/**
+ * Lê os valores do schema a partir das variáveis de ambiente.
+ * @param {Object} schema - Objeto (aninhado) cujas folhas são campos (int, bool, ...)
+ * @param {Object} env - Variáveis de ambiente
+ * @returns {{ values: Object, problems: Array<string> }}
+ */
+export function parseSchema(schema, env) {
+  const problems = [];
+
+  const walk = (node) => Object.fromEntries(Object.entries(node).map(([key, child]) => {
+    if (!isField(child)) return [key, walk(child)];
+    const { value, problem } = parseField(child, env);
+    if (problem) problems.push(problem);
+    return [key, value];
+  }));
+
+  return { values: walk(schema), problems };
+}
+
+/**
+ * Lista os campos cujo valor mudou entre duas leituras do schema.
+ * @returns {Array<{ path: Array<string>, env: string, reload: boolean, previous: *, value: * }>}
+ */
+export function diffSchema(schema, previous, next, path = []) {
+  return Object.entries(schema).flatMap(([key, child]) => {
+    if (!isField(child)) return diffSchema(child, previous[key], next[key], [...path, key]);
+    if (JSON.stringify(previous[key]) === JSON.stringify(next[key])) return [];
+    return [{ path: [...path, key], env: child.env, reload: !!child.reload, previous: previous[key], value: next[key] }];
+  });
+}
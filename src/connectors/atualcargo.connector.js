@@ -1,20 +1,37 @@
 import axios from 'axios';
-import { jobsConfig } from '../config/jobs.js'; // CAMINHO CORRIGIDO
-import { appConfig } from '../config/app.js';
+import { appConfig, notificationsConfig } from '../config/index.js';
 import logger from '../utils/logger.js';
-import { AtualcargoTokenError } from '../utils/errors.js';
+import {
+  AtualcargoTokenError,
+  SourceError,
+  SourceRateLimitError,
+  SourceTimeoutError,
+  CircuitOpenError,
+  CycleTimeoutError,
+} from '../utils/errors.js';
+import { defineConnector, ErrorKind } from './connector.contract.js';
+import { mapAtualcargoToStandard } from '../sankhya/sankhya.mapper.js';
+import { timeRequest } from '../utils/metrics.js';
+import { recordFailure, recordSuccess } from '../notifications/notifier.js';
+import { callSource } from './connector.resilience.js';
+import { cycleSignal } from '../jobs/job.cycle.js';
 
-const config = jobsConfig.atualcargo;
 const { timeout } = appConfig;
 
+// Token recusado (401/403): erro de autenticação, tratado com novo login
+const mapTokenError = (error) => (error.response?.status === 401 || error.response?.status === 403
+  ? new AtualcargoTokenError('Token da Atualcargo expirado.')
+  : null);
+
 /**
  * Realiza login na API da Atualcargo.
+ * @param {Object} config - Configuração da instância (ver src/config/connectors.js)
  * @returns {Promise<string>} O token de acesso
  */
-export async function loginAtualcargo() {
-  logger.info('[Atualcargo] Tentando login...');
+export async function loginAtualcargo(config) {
+  logger.info(`[${config.name}] Tentando login...`);
   try {
-    const response = await axios.post(
+    const response = await callSource(config.name, 'login', () => timeRequest('atualcargo', 'login', () => axios.post(
       `${config.url}/api/auth/v1/login`,
       { username: config.username, password: config.password },
       {
@@ -22,65 +39,125 @@ export async function loginAtualcargo() {
           'access-key': config.apiKey,
           'Content-Type': 'application/json',
         },
+        signal: cycleSignal(),
       }
-    );
+    )));
 
     if (response.data?.token) {
-      logger.info('[Atualcargo] Login bem-sucedido.');
+      logger.info(`[${config.name}] Login bem-sucedido.`);
+      recordSuccess(`login:${config.name}`, `Login na ${config.name} normalizado.`);
       return response.data.token;
     }
 
-    logger.error('[Atualcargo] Falha no login: Token não encontrado.', response.data);
-    throw new Error('Token não retornado pela API Atualcargo');
+    logger.error(`[${config.name}] Falha no login: Token não encontrado.`, response.data);
+    throw new AtualcargoTokenError('Token não retornado pela API Atualcargo');
 
   } catch (error) {
-    logger.error(`[Atualcargo] Erro crítico ao fazer login: ${error.message}`);
-    throw new Error(`Falha no login da Atualcargo: ${error.message}`);
+    // Login não tentado (circuito da instância aberto) ou cancelado pelo timeout do ciclo
+    if (error instanceof CircuitOpenError || error instanceof CycleTimeoutError) throw error;
+    logger.error(`[${config.name}] Erro crítico ao fazer login: ${error.message}`);
+    recordFailure(`login:${config.name}`, notificationsConfig.loginFailures, (count) => ({
+      title: `Falha de login na ${config.name}`,
+      message: `${count} falhas seguidas de login. Último erro: ${error.message}`,
+    }));
+    throw error;
   }
 }
 
 /**
  * Busca as últimas posições dos veículos na Atualcargo.
+ * @param {Object} config - Configuração da instância (ver src/config/connectors.js)
  * @param {string} token - O token Bearer
  * @returns {Promise<Array<Object>>} Uma lista de posições de veículos
  */
-export async function getAtualcargoPositions(token) {
-  logger.info('[Atualcargo] Buscando últimas posições (pode demorar até 2 min)...');
+export async function getAtualcargoPositions(config, token) {
+  logger.info(`[${config.name}] Buscando últimas posições (pode demorar até 2 min)...`);
   try {
-    const response = await axios.get(`${config.url}/api/positions/v1/last`, {
+    const response = await callSource(config.name, 'positions/last', () => timeRequest('atualcargo', 'positions/last', () => axios.get(`${config.url}/api/positions/v1/last`, {
       headers: {
         'Authorization': `Bearer ${token}`,
         'access-key': config.apiKey,
       },
-      timeout: timeout, 
-    });
+      timeout: timeout,
+      signal: cycleSignal(),
+    })), { mapError: mapTokenError });
+
+    recordSuccess(`rate-limit:${config.name}`, `A ${config.name} voltou a responder sem Rate Limit (425).`);
 
     if (response.data?.code === 200 && Array.isArray(response.data.data)) {
-      logger.info(`[Atualcargo] Encontradas ${response.data.data.length} posições.`);
-      return response.data.data; 
+      logger.info(`[${config.name}] Encontradas ${response.data.data.length} posições.`);
+      return response.data.data;
     }
 
-    logger.warn('[Atualcargo] Resposta inesperada da API de posições:', response.data);
+    logger.warn(`[${config.name}] Resposta inesperada da API de posições:`, response.data);
     return [];
 
   } catch (error) {
-    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.response?.status === 504) {
-      logger.error('[Atualcargo] Timeout ao buscar posições. A API demorou mais que o esperado.');
-      throw new Error('Timeout da API da Atualcargo excedido.');
-    }
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      logger.warn('[Atualcargo] Token expirou (401/403).');
-      throw new AtualcargoTokenError('Token da Atualcargo expirado.');
-    }
-    if (error.response?.status === 425) {
-      logger.warn('[Atualcargo] Erro 425 (Too Early / Rate Limit).');
-      throw new Error('Falha da Atualcargo (Rate Limit 425).');
-    }
-    if (error.response?.status === 500) {
-      logger.error('[Atualcargo] Erro 500 (Internal Server Error) na API.');
-      throw new Error('Falha interna da API Atualcargo (500).');
+    if (error instanceof SourceTimeoutError) {
+      logger.error(`[${config.name}] Timeout ao buscar posições. A API demorou mais que o esperado.`);
+    } else if (error instanceof AtualcargoTokenError) {
+      logger.warn(`[${config.name}] Token expirou (401/403).`);
+    } else if (error instanceof SourceRateLimitError) {
+      logger.warn(`[${config.name}] Erro ${error.status} (Too Early / Rate Limit).`);
+      recordFailure(`rate-limit:${config.name}`, notificationsConfig.rateLimitCount, (count) => ({
+        title: `Rate Limit da ${config.name}`,
+        message: `${count} respostas 425 (Too Early / Rate Limit) seguidas da API de posições.`,
+      }));
+    } else {
+      logger.error(`[${config.name}] Erro ao buscar posições: ${error.message}`);
     }
-    logger.error(`[Atualcargo] Erro ao buscar posições: ${error.message}`);
-    throw new Error(`Falha ao buscar posições da Atualcargo: ${error.message}`);
+    throw error;
   }
-}
\ No newline at end of file
+}
+
+export default defineConnector({
+  type: 'atualcargo',
+  name: 'Atualcargo',
+
+  create(config) {
+    // --- Gerenciamento de Estado (Token) ---
+    let token = null;
+    let tokenTimestamp = null;
+
+    return {
+      name: config.name,
+      fabricanteId: config.fabricanteId,
+
+      /**
+       * Garante que temos um token válido da Atualcargo.
+       */
+      async authenticate() {
+        const now = Date.now();
+        if (tokenTimestamp && (now - tokenTimestamp > config.tokenExpirationMs)) {
+          logger.info(`[${config.name}] Token expirou (limite de ${config.tokenExpirationMs / 60000} min). Forçando renovação.`);
+          this.invalidateSession();
+        }
+
+        if (!token) {
+          logger.info(`[${config.name}] Token ausente ou expirado. Solicitando novo login...`);
+          token = await loginAtualcargo(config);
+          tokenTimestamp = Date.now();
+        }
+      },
+
+      fetchPositions() {
+        return getAtualcargoPositions(config, token);
+      },
+
+      mapToStandard(positions) {
+        return mapAtualcargoToStandard(positions, config.name);
+      },
+
+      classifyError(error) {
+        if (error instanceof AtualcargoTokenError) return ErrorKind.AUTH;
+        if (error instanceof SourceError && error.source === config.name) return ErrorKind.SOURCE;
+        return null;
+      },
+
+      invalidateSession() {
+        token = null;
+        tokenTimestamp = null;
+      },
+    };
+  },
+});
@@ -0,0 +1,70 @@
+/**
+ * Contrato dos conectores de rastreadores.
+ *
+ * Cada arquivo `*.connector.js` desta pasta exporta (default) uma definição:
+ * {
+ *   type: 'atualcargo',            // Chave usada em jobsConfig
+ *   name: 'Atualcargo',            // Nome padrão da instância (job, logs)
+ *   create(config) => instância,   // Fábrica da instância do conector
+ * }
+ *
+ * `create` recebe a configuração da instância (ver src/config/connectors.js), sempre
+ * com `name`: várias instâncias do mesmo conector podem rodar ao mesmo tempo, cada uma
+ * com suas credenciais e estado (token, cursor). A instância deve expor `name` e
+ * `fabricanteId` da configuração e implementar:
+ * - authenticate(): Promise<void>      Garante sessão/token válido com o fornecedor
+ * - fetchPositions(): Promise<Array>   Busca as posições brutas do fornecedor
+ * - mapToStandard(raw): Array          Converte as posições para o formato padrão do hub
+ * - classifyError(error): string|null  Classifica um erro (ErrorKind) ou null se não for do conector
+ * - invalidateSession(): void          Descarta token/sessão para forçar novo login
+ *
+ * Opcionalmente:
+ * - commit(): void                     Chamado após as posições buscadas serem gravadas na
+ *                                      fila persistente (ex: avançar um cursor incremental)
+ *
+ * As chamadas HTTP ao fornecedor passam por `callSource` (connector.resilience.js), que
+ * aplica novas tentativas e o circuito da instância e lança erros tipados (SourceError,
+ * com `source` = nome da instância), usados por classifyError.
+ */
+
+/**
+ * Tipos de erro reconhecidos pelo pipeline.
+ * Erros não classificados pelo conector são tratados como falha do Sankhya.
+ */
+export const ErrorKind = Object.freeze({
+  AUTH: 'auth', // Token/sessão do fornecedor inválido
+  SOURCE: 'source', // Falha de rede, timeout ou rate limit no fornecedor
+});
+
+const REQUIRED_METHODS = [
+  'authenticate',
+  'fetchPositions',
+  'mapToStandard',
+  'classifyError',
+  'invalidateSession',
+];
+
+/**
+ * Valida e congela a definição de um conector.
+ * @param {Object} definition - Definição exportada pelo módulo do conector
+ * @returns {Object} A própria definição
+ */
+export function defineConnector(definition) {
+  if (!definition?.type || !definition?.name || typeof definition.create !== 'function') {
+    throw new Error('Definição de conector inválida: "type", "name" e "create" são obrigatórios.');
+  }
+  return Object.freeze(definition);
+}
+
+/**
+ * Verifica se a instância criada pelo conector cumpre o contrato.
+ * @param {string} type - Tipo do conector (para a mensagem de erro)
+ * @param {Object} instance - Instância retornada por `create`
+ */
+export function assertConnectorInstance(type, instance) {
+  const missing = REQUIRED_METHODS.filter((method) => typeof instance?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Conector [${type}] não implementa: ${missing.join(', ')}.`);
+  }
+  return instance;
+}
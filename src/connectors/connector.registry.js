@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createLogger } from '../utils/logger.js';
+import { assertConnectorInstance } from './connector.contract.js';
+
+const logger = createLogger('ConnectorRegistry');
+
+const CONNECTORS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const CONNECTOR_SUFFIX = '.connector.js';
+
+const connectors = new Map();
+
+/**
+ * Registra a definição de um conector.
+ * @param {Object} definition - Definição criada com `defineConnector`
+ */
+export function registerConnector(definition) {
+  if (connectors.has(definition.type)) {
+    throw new Error(`Conector [${definition.type}] já registrado.`);
+  }
+  connectors.set(definition.type, definition);
+  logger.debug(`Conector [${definition.type}] registrado.`);
+}
+
+/**
+ * Importa todos os arquivos `*.connector.js` desta pasta e registra suas definições.
+ * @returns {Promise<Array<Object>>} As definições registradas
+ */
+export async function discoverConnectors() {
+  const files = fs.readdirSync(CONNECTORS_DIR)
+    .filter((file) => file.endsWith(CONNECTOR_SUFFIX))
+    .sort();
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.join(CONNECTORS_DIR, file)).href);
+    if (!module.default) {
+      logger.warn(`Arquivo ${file} não exporta uma definição de conector. Ignorado.`);
+      continue;
+    }
+    if (!connectors.has(module.default.type)) {
+      registerConnector(module.default);
+    }
+  }
+
+  logger.info(`Conectores disponíveis: ${listConnectors().map((c) => c.type).join(', ') || 'nenhum'}.`);
+  return listConnectors();
+}
+
+/**
+ * Retorna a definição de um conector pelo tipo.
+ * @param {string} type - Tipo do conector (ex: 'atualcargo')
+ */
+export function getConnector(type) {
+  return connectors.get(type) || null;
+}
+
+/**
+ * Lista as definições registradas.
+ */
+export function listConnectors() {
+  return [...connectors.values()];
+}
+
+/**
+ * Cria uma instância de conector validando o contrato.
+ * A instância recebe o campo `type` do conector que a criou. Sem `config.name`,
+ * a instância usa o nome do conector.
+ * @param {string} type - Tipo do conector
+ * @param {Object} config - Configuração da instância
+ */
+export function createConnector(type, config) {
+  const definition = getConnector(type);
+  if (!definition) {
+    throw new Error(`Conector [${type}] não encontrado.`);
+  }
+  const instance = assertConnectorInstance(type, definition.create({ ...config, name: config.name || definition.name }));
+  instance.type = type;
+  return instance;
+}
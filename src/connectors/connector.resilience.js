@@ -0,0 +1,224 @@
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { delay } from '../utils/dateTime.js';
+import {
+  SourceError,
+  SourceTimeoutError,
+  SourceRateLimitError,
+  CircuitOpenError,
+} from '../utils/errors.js';
+import { cycleTimeoutOf, cycleSignal } from '../jobs/job.cycle.js';
+
+/**
+ * Camada de resiliência das chamadas HTTP aos fornecedores, usada pelos conectores.
+ *
+ * - Erros do axios viram erros tipados (SourceTimeoutError, SourceRateLimitError, SourceError).
+ * - Falhas de rede e HTTP 5xx são repetidas até CONNECTOR_RETRY_ATTEMPTS vezes, com
+ *   backoff exponencial e jitter. Timeouts não são repetidos: a chamada já esperou o
+ *   timeout inteiro.
+ * - Um circuito por instância do conector (conta no fornecedor) deixa de chamar o
+ *   fornecedor após CIRCUIT_FAILURE_THRESHOLD chamadas com falha seguidas, ou logo no
+ *   rate limit. Aberto pelo Retry-After do fornecedor ou por um backoff que cresce a cada
+ *   nova abertura, o circuito passa a meio-aberto e libera uma única chamada de teste:
+ *   sucesso fecha o circuito, falha o abre novamente.
+ * - Chamadas canceladas pelo timeout do ciclo (ver job.cycle.js) não contam como falha e
+ *   são relançadas como CycleTimeoutError.
+ */
+
+const breakers = new Map(); // Nome da instância -> circuito
+
+/**
+ * Espera de uma nova tentativa: backoff exponencial com jitter (metade fixa, metade aleatória).
+ * @param {number} attempt - Tentativa (0 = primeira espera)
+ * @param {{ baseMs: number, maxMs: number }} limits
+ */
+export function backoffDelay(attempt, { baseMs, maxMs }) {
+  const exponential = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Converte o header Retry-After (segundos ou data HTTP) em milissegundos.
+ * @returns {number|null}
+ */
+export function parseRetryAfter(header) {
+  if (header === undefined || header === null || header === '') return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Converte o erro do axios em um erro tipado do fornecedor.
+ * Erros que não vêm do axios (ex: já tipados pelo conector) são retornados sem alteração.
+ * @param {string} source - Nome da instância do conector
+ * @param {string} operation - Operação chamada (ex: 'positions/last')
+ * @param {Error} error - Erro original
+ */
+export function toSourceError(source, operation, error) {
+  if (!error?.isAxiosError) return error;
+  const status = error.response?.status ?? null;
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || status === 504) {
+    return new SourceTimeoutError(source, `Timeout da API ${source} (${operation}).`, { status });
+  }
+  if (status === 425 || status === 429) {
+    const retryAfterMs = parseRetryAfter(error.response.headers?.['retry-after']);
+    return new SourceRateLimitError(source, `Rate limit da API ${source} (${operation}, HTTP ${status}).`, { status, retryAfterMs });
+  }
+  const reason = status ? `HTTP ${status}` : error.message;
+  return new SourceError(source, `Falha na API ${source} (${operation}): ${reason}.`, { status });
+}
+
+/**
+ * Indica se o erro mostra o fornecedor com problema (conta para o circuito e pode ser
+ * repetido). Respostas 4xx, como credencial inválida, mostram o fornecedor funcionando.
+ */
+function isVendorFailure(error) {
+  if (!(error instanceof SourceError)) return false;
+  return error.status === null || error.status >= 500 || error instanceof SourceRateLimitError;
+}
+
+/**
+ * Cria (ou retorna) o circuito de uma instância de conector.
+ * Transições de estado são registradas no log: closed -> open -> half-open -> closed.
+ * @param {string} name - Nome da instância (ex: 'Atualcargo')
+ */
+export function getCircuitBreaker(name) {
+  if (breakers.has(name)) return breakers.get(name);
+
+  const logger = createLogger(`Circuit:${name}`);
+  let state = 'closed'; // 'closed' | 'open' | 'half-open'
+  let failures = 0; // Chamadas com falha seguidas
+  let opens = 0; // Aberturas seguidas (cresce o tempo aberto)
+  let openUntil = null;
+  let trialInFlight = false;
+  let lastError = null;
+
+  function transition(next, detail) {
+    logger.log(next === 'open' ? 'warn' : 'info', `Circuito ${state} -> ${next}. ${detail}`);
+    state = next;
+  }
+
+  function open(error) {
+    const backoffMs = backoffDelay(opens, { baseMs: appConfig.circuitOpenMs, maxMs: appConfig.circuitOpenMaxMs });
+    const openMs = Math.max(backoffMs, error.retryAfterMs || 0);
+    opens++;
+    openUntil = new Date(Date.now() + openMs);
+    transition('open', `${error.message} Nova tentativa em ${Math.ceil(openMs / 1000)}s.`);
+  }
+
+  const breaker = {
+    name,
+
+    get state() {
+      return state;
+    },
+
+    /**
+     * Libera uma chamada ou lança CircuitOpenError. No meio-aberto, apenas uma chamada
+     * de teste é liberada por vez.
+     */
+    acquire() {
+      if (state === 'open') {
+        const remainingMs = openUntil.getTime() - Date.now();
+        if (remainingMs > 0) throw new CircuitOpenError(name, remainingMs);
+        transition('half-open', 'Liberando uma chamada de teste.');
+      }
+      if (state === 'half-open') {
+        if (trialInFlight) throw new CircuitOpenError(name, null);
+        trialInFlight = true;
+      }
+    },
+
+    // Chamada cancelada (timeout do ciclo): libera a chamada de teste sem alterar o estado
+    release() {
+      trialInFlight = false;
+    },
+
+    success() {
+      trialInFlight = false;
+      failures = 0;
+      if (state !== 'closed') {
+        opens = 0;
+        openUntil = null;
+        transition('closed', 'O fornecedor voltou a responder.');
+      }
+    },
+
+    failure(error) {
+      trialInFlight = false;
+      failures++;
+      lastError = error.message;
+      if (state === 'half-open' || error instanceof SourceRateLimitError || failures >= appConfig.circuitFailureThreshold) {
+        open(error);
+      }
+    },
+
+    describe() {
+      return { name, state, failures, openUntil, lastError };
+    },
+  };
+
+  breakers.set(name, breaker);
+  return breaker;
+}
+
+/**
+ * Estado do circuito de cada instância de conector (exposto em /status).
+ */
+export function listCircuitBreakers() {
+  return [...breakers.values()].map((breaker) => breaker.describe());
+}
+
+/**
+ * Executa uma chamada ao fornecedor pelo circuito da instância, com novas tentativas.
+ * @param {string} source - Nome da instância do conector
+ * @param {string} operation - Operação (ex: 'positions/last'), para logs e mensagens
+ * @param {Function} request - () => Promise com a chamada HTTP
+ * @param {Object} [options]
+ * @param {Function} [options.mapError] - (erro do axios) => erro específico do conector ou null
+ *   (ex: 401 -> erro de token), aplicado antes da conversão padrão
+ * @returns {Promise<*>} O resultado de `request`
+ */
+export async function callSource(source, operation, request, { mapError } = {}) {
+  const breaker = getCircuitBreaker(source);
+  const logger = createLogger(`Circuit:${source}`);
+  breaker.acquire();
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await request();
+      breaker.success();
+      return result;
+    } catch (rawError) {
+      const timedOut = cycleTimeoutOf(rawError);
+      if (timedOut) {
+        breaker.release();
+        throw timedOut;
+      }
+
+      const error = mapError?.(rawError) || toSourceError(source, operation, rawError);
+
+      if (!isVendorFailure(error)) {
+        // O fornecedor respondeu (ex: credencial inválida): não conta como falha do circuito
+        breaker.success();
+        throw error;
+      }
+
+      const canRetry = attempt < appConfig.connectorRetryAttempts
+        && breaker.state === 'closed'
+        && !(error instanceof SourceRateLimitError)
+        && !(error instanceof SourceTimeoutError);
+      if (!canRetry) {
+        breaker.failure(error);
+        throw error;
+      }
+
+      const waitMs = backoffDelay(attempt, { baseMs: appConfig.connectorBackoffBaseMs, maxMs: appConfig.connectorBackoffMaxMs });
+      logger.warn(`${error.message} Nova tentativa em ${(waitMs / 1000).toFixed(1)}s (${attempt + 1}/${appConfig.connectorRetryAttempts}).`);
+      await delay(waitMs, cycleSignal());
+    }
+  }
+}
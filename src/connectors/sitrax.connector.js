@@ -1,53 +1,154 @@
 import axios from 'axios';
-import { jobsConfig } from '../config/jobs.js';
-import { appConfig } from '../config/app.js';
+import path from 'path';
+import { appConfig } from '../config/index.js';
 import { createLogger } from '../utils/logger.js'; // CAMINHO CORRIGIDO
+import { defineConnector, ErrorKind } from './connector.contract.js';
+import { mapSitraxToStandard } from '../sankhya/sankhya.mapper.js';
+import { createStateStore } from '../storage/state.store.js';
+import { timeRequest } from '../utils/metrics.js';
+import { SourceError, SourceTimeoutError } from '../utils/errors.js';
+import { callSource } from './connector.resilience.js';
+import { cycleSignal } from '../jobs/job.cycle.js';
 
-const logger = createLogger('SitraxAPI'); // CORRIGIDO
-const config = jobsConfig.sitrax;
+// Logger com o nome da instância (várias contas Sitrax podem rodar ao mesmo tempo)
+const loggerFor = (config) => createLogger(`SitraxAPI:${config.name}`);
 const { timeout } = appConfig;
 
-const apiClient = axios.create({
-  baseURL: config.url,
-  timeout: timeout,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
+/**
+ * Cria o cliente HTTP da API Sitrax.
+ * @param {Object} config - Configuração da instância (ver src/config/connectors.js)
+ */
+function createApiClient(config) {
+  return axios.create({
+    baseURL: config.url,
+    timeout: timeout,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+}
 
 /**
- * Busca as últimas posições do Sitrax.
+ * Busca as posições do Sitrax posteriores ao pacote informado.
+ * Com pktId 0, a API retorna apenas a última posição de cada dispositivo.
+ * @param {Object} config - Configuração da instância (ver src/config/connectors.js)
+ * @param {Object} apiClient - Cliente HTTP criado por `createApiClient`
+ * @param {number} pktId - Último pacote já processado
  * @returns {Promise<Array<Object>>} Lista de posições
  */
-export async function getSitraxPositions() {
-  logger.info('Buscando últimas posições...');
+export async function getSitraxPositions(config, apiClient, pktId = 0) {
+  const logger = loggerFor(config);
+  logger.info(`Buscando posições a partir do pacote ${pktId}...`);
   try {
     const requestBody = {
       login: config.login,
       cgruChave: config.cgruChave,
       cusuChave: config.cusuChave,
-      pktId: 0,
+      pktId,
     };
 
-    const response = await apiClient.post('/ultimaposicao', requestBody);
+    const response = await callSource(config.name, 'ultimaposicao', () => timeRequest('sitrax', 'ultimaposicao', () => apiClient.post('/ultimaposicao', requestBody, { signal: cycleSignal() })));
 
     if (response.data && Array.isArray(response.data.posicoes)) {
       logger.info(`Recebidas ${response.data.posicoes.length} posições.`);
       return response.data.posicoes;
     }
-    
+
     logger.warn('Resposta da API não contém dados válidos.', response.data);
     return [];
 
   } catch (error) {
-    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.response?.status === 504) {
+    if (error instanceof SourceTimeoutError) {
       logger.error('Timeout ao buscar posições.');
-      throw new Error('Timeout da API da Sitrax excedido.');
+    } else {
+      logger.error(`Falha ao buscar posições: ${error.message}`);
     }
-    logger.error(
-      `Falha ao buscar posições: ${error.message}`,
-      error.response?.data
-    );
-    throw new Error(`Falha ao buscar posições da Sitrax: ${error.message}`);
+    throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Percorre as páginas da API a partir do cursor até não haver pacotes novos.
+ * @param {Object} config - Configuração da instância (ver src/config/connectors.js)
+ * @param {Object} apiClient - Cliente HTTP criado por `createApiClient`
+ * @param {number} cursor - Último pacote já processado
+ * @returns {Promise<{ positions: Array<Object>, lastPktId: number }>}
+ */
+export async function getSitraxPositionsSince(config, apiClient, cursor) {
+  const logger = loggerFor(config);
+  const positions = [];
+  let lastPktId = cursor;
+
+  for (let page = 1; page <= config.maxPages; page++) {
+    const pagePositions = await getSitraxPositions(config, apiClient, lastPktId);
+
+    if (pagePositions.length > 0 && pagePositions.every((pos) => pos.pktId === undefined)) {
+      logger.warn('Resposta sem pktId. Usando apenas a última posição, sem avançar o cursor.');
+      positions.push(...pagePositions);
+      break;
+    }
+
+    const newPositions = pagePositions.filter((pos) => Number(pos.pktId) > lastPktId);
+
+    if (newPositions.length === 0) break;
+
+    positions.push(...newPositions);
+    lastPktId = Math.max(...newPositions.map((pos) => Number(pos.pktId)));
+
+    if (page === config.maxPages) {
+      logger.warn(`Limite de ${config.maxPages} páginas atingido. O restante será buscado no próximo ciclo.`);
+    }
+  }
+
+  // Ordem cronológica dos pacotes, para inserir o trajeto na sequência correta
+  positions.sort((a, b) => Number(a.pktId) - Number(b.pktId));
+  return { positions, lastPktId };
+}
+
+export default defineConnector({
+  type: 'sitrax',
+  name: 'Sitrax',
+
+  create(config) {
+    const apiClient = createApiClient(config);
+    const logger = loggerFor(config);
+
+    // --- Cursor (último pktId processado) da instância, persistido entre reinícios ---
+    const cursorStore = createStateStore(config.name, { dir: path.join(appConfig.dataDir, 'cursors') });
+    let pendingPktId = null;
+
+    return {
+      name: config.name,
+      fabricanteId: config.fabricanteId,
+
+      // A Sitrax autentica pelas chaves enviadas em cada requisição
+      async authenticate() {},
+
+      async fetchPositions() {
+        const cursor = cursorStore.get('pktId', 0);
+        const { positions, lastPktId } = await getSitraxPositionsSince(config, apiClient, cursor);
+        pendingPktId = lastPktId > cursor ? lastPktId : null;
+        return positions;
+      },
+
+      // Avança o cursor após as posições estarem gravadas na fila persistente
+      commit() {
+        if (pendingPktId === null) return;
+        cursorStore.set('pktId', pendingPktId);
+        logger.info(`Cursor avançado para o pacote ${pendingPktId}.`);
+        pendingPktId = null;
+      },
+
+      mapToStandard(positions) {
+        return mapSitraxToStandard(positions, config.name);
+      },
+
+      classifyError(error) {
+        if (error instanceof SourceError && error.source === config.name) return ErrorKind.SOURCE;
+        return null;
+      },
+
+      invalidateSession() {},
+    };
+  },
+});
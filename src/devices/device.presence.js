@@ -0,0 +1,217 @@
+import path from 'path';
+import client from 'prom-client';
+import { appConfig, sankhyaConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { registry } from '../utils/metrics.js';
+import { createStateStore } from '../storage/state.store.js';
+import { createTargetQueues } from '../jobs/position.observers.js';
+import * as sankhyaApi from '../sankhya/sankhya.api.js';
+import { raiseAlert, resolveAlert } from '../notifications/notifier.js';
+
+const logger = createLogger('DevicePresence');
+
+export const PresenceState = Object.freeze({
+  ONLINE: 'ONLINE',
+  DELAYED: 'ATRASADO',
+  OFFLINE: 'OFFLINE',
+});
+
+// Última posição de cada dispositivo (todas as fontes), persistida entre reinícios
+// `${type}:${identifier}` -> { type, identifier, target, source, lastReportAt, lat, lon, state, since }
+// Chave prefixada pelo destino fora do Sankhya principal (targetScopedKey). Registros
+// gravados antes das múltiplas instâncias não têm `target` (Sankhya principal).
+const store = createStateStore('presence', { dir: appConfig.dataDir });
+const devices = store.get('devices', {});
+
+const targetOf = (device) => device.target || sankhyaConfig.url;
+
+// Mudanças de status aguardando gravação, por Sankhya de destino
+const eventQueues = createTargetQueues('PresenceEvents', {
+  dir: path.join(appConfig.dataDir, 'queue'),
+  maxSize: appConfig.queueMaxPositions,
+});
+
+/**
+ * Enfileira os eventos na fila do destino de cada dispositivo.
+ */
+function queueEvents(events) {
+  const byTarget = new Map();
+  for (const { target, ...event } of events) {
+    byTarget.set(target, [...(byTarget.get(target) || []), event]);
+  }
+  byTarget.forEach((targetEvents, target) => eventQueues.of(target).push(targetEvents));
+}
+
+new client.Gauge({
+  name: 'hub_devices',
+  help: 'Dispositivos por tipo e status de presença (ONLINE, ATRASADO, OFFLINE).',
+  labelNames: ['type', 'state'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const type of ['vehicle', 'isca']) {
+      Object.values(PresenceState).forEach((state) => this.set({ type, state }, 0));
+    }
+    Object.values(devices).forEach((d) => this.inc({ type: d.type, state: d.state }));
+  },
+});
+
+/**
+ * Status do dispositivo pelo tempo desde a última posição, com os limites do seu tipo.
+ */
+function classify(type, lastReportAt, now) {
+  const { delayedMs, offlineMs } = appConfig.presenceThresholds[type];
+  const silenceMs = now - lastReportAt;
+  if (silenceMs >= offlineMs) return PresenceState.OFFLINE;
+  if (silenceMs >= delayedMs) return PresenceState.DELAYED;
+  return PresenceState.ONLINE;
+}
+
+/**
+ * Atualiza o status de um dispositivo, registrando a mudança.
+ * @returns {Object|null} O evento de mudança de status, ou null se não mudou
+ */
+function transition(device, state, now) {
+  if (device.state === state) return null;
+
+  const event = {
+    target: targetOf(device),
+    deviceType: device.type,
+    identifier: device.identifier,
+    state,
+    previousState: device.state,
+    date: new Date(now),
+    lastReportAt: new Date(device.lastReportAt),
+    lat: device.lat,
+    lon: device.lon,
+  };
+  device.state = state;
+  device.since = now;
+
+  const silenceMin = Math.round((now - device.lastReportAt) / 60000);
+  const message = `${device.type} ${device.identifier} (${device.source}): ${event.previousState} -> ${state} (sem posição há ${silenceMin} min).`;
+  if (state === PresenceState.ONLINE) {
+    logger.info(message);
+  } else {
+    logger.warn(message);
+  }
+
+  // Isca silenciosa pode indicar bloqueador de sinal (roubo de carga)
+  if (device.type === 'isca') {
+    const alertKey = `isca-offline:${sankhyaApi.targetScopedKey(targetOf(device), device.identifier)}`;
+    if (state === PresenceState.OFFLINE) {
+      raiseAlert(alertKey, { title: `Isca ${device.identifier} offline`, message });
+    } else if (state === PresenceState.ONLINE) {
+      resolveAlert(alertKey, `A isca ${device.identifier} voltou a enviar posições.`);
+    }
+  }
+  return event;
+}
+
+/**
+ * Registra a última posição dos dispositivos de um lote.
+ * @param {Array<Object>} positions - Posições no formato padrão
+ * @param {string} source - Nome do job/fonte
+ * @param {string} sankhyaUrl - URL do Sankhya do job (destino dos eventos)
+ */
+export function trackPositions(positions, source, sankhyaUrl) {
+  const now = Date.now();
+  const events = [];
+  const target = sankhyaApi.sankhyaTargetOf(sankhyaUrl);
+
+  for (const position of positions) {
+    const key = sankhyaApi.targetScopedKey(sankhyaUrl, `${position.type}:${position.identifier}`);
+    const reportedAt = position.date.getTime();
+    const device = devices[key];
+
+    if (!device) {
+      const state = classify(position.type, reportedAt, now);
+      devices[key] = {
+        type: position.type,
+        identifier: position.identifier,
+        target,
+        source,
+        lastReportAt: reportedAt,
+        lat: Number(position.lat),
+        lon: Number(position.lon),
+        state,
+        since: now,
+      };
+      continue;
+    }
+
+    if (reportedAt <= device.lastReportAt) continue;
+    Object.assign(device, {
+      target,
+      source,
+      lastReportAt: reportedAt,
+      lat: Number(position.lat),
+      lon: Number(position.lon),
+    });
+
+    const event = transition(device, classify(device.type, reportedAt, now), now);
+    if (event) events.push(event);
+  }
+
+  store.set('devices', devices);
+  if (events.length > 0) queueEvents(events);
+}
+
+/**
+ * Reclassifica todos os dispositivos (chamado periodicamente, pois o silêncio
+ * de um dispositivo não gera posições).
+ * @returns {Array<Object>} Eventos de mudança de status
+ */
+export function checkPresence() {
+  const now = Date.now();
+  const events = Object.values(devices)
+    .map((device) => transition(device, classify(device.type, device.lastReportAt, now), now))
+    .filter(Boolean);
+
+  if (events.length > 0) {
+    store.set('devices', devices);
+    queueEvents(events);
+  }
+  return events;
+}
+
+/**
+ * Grava no Sankhya (AD_STATRAST) as mudanças de status pendentes do destino.
+ * Em caso de falha os eventos permanecem na fila para o próximo ciclo.
+ * @param {string} sankhyaUrl - URL do Sankhya
+ */
+export async function flushPresenceEvents(sankhyaUrl) {
+  const eventQueue = eventQueues.of(sankhyaUrl);
+  const events = eventQueue.getPositions();
+  if (events.length === 0) return;
+  await sankhyaApi.insertPresenceEvents(events, sankhyaUrl);
+  eventQueue.ack(events);
+}
+
+/**
+ * Dispositivos e seus status, opcionalmente filtrados.
+ * @param {{ type?: string, state?: string }} filter
+ */
+export function listDevicePresence({ type, state } = {}) {
+  return Object.values(devices)
+    .filter((d) => (!type || d.type === type) && (!state || d.state === state))
+    .map((d) => ({ ...d, target: targetOf(d), lastReportAt: new Date(d.lastReportAt), since: new Date(d.since) }));
+}
+
+/**
+ * Agenda a reclassificação periódica dos dispositivos.
+ */
+export function startPresenceCheck() {
+  const timer = setInterval(checkPresence, appConfig.presenceCheckMs);
+  timer.unref();
+  logger.info(`Verificação de presença dos dispositivos a cada ${appConfig.presenceCheckMs / 1000}s.`);
+}
+
+/**
+ * Observador de posições (ver position.observers.js).
+ */
+export const presenceObserver = {
+  name: 'DevicePresence',
+  onPositions: (positions, { jobName, sankhyaUrl }) => trackPositions(positions, jobName, sankhyaUrl),
+  onLoaded: ({ sankhyaUrl }) => flushPresenceEvents(sankhyaUrl),
+};
@@ -0,0 +1,138 @@
+import path from 'path';
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { haversineMeters, isPointInPolygon } from '../utils/geo.js';
+import { createStateStore } from '../storage/state.store.js';
+import { createTargetQueues } from '../jobs/position.observers.js';
+import * as sankhyaApi from '../sankhya/sankhya.api.js';
+import { loadGeofences } from './geofence.loader.js';
+
+const logger = createLogger('Geofence');
+
+export const GeofenceEvent = Object.freeze({
+  ENTRY: 'ENTRY',
+  EXIT: 'EXIT',
+});
+
+// Geocercas carregadas de cada Sankhya de destino: destino -> { geofences, loadedAt }
+const loaded = new Map();
+
+// Estado de cada dispositivo: { inside: [ids], lastDate }, persistido entre reinícios
+// Chave: `${type}:${identifier}`, prefixada pelo destino fora do Sankhya principal (targetScopedKey)
+const stateStore = createStateStore('geofence-state', { dir: appConfig.dataDir });
+const devices = stateStore.get('devices', {});
+
+// Eventos aguardando gravação, por Sankhya de destino
+const eventQueues = createTargetQueues('GeofenceEvents', {
+  dir: path.join(appConfig.dataDir, 'queue'),
+  maxSize: appConfig.queueMaxPositions,
+});
+
+function contains(geofence, lat, lon) {
+  if (geofence.type === 'circle') {
+    return haversineMeters(geofence.lat, geofence.lon, lat, lon) <= geofence.radiusM;
+  }
+  return isPointInPolygon(lat, lon, geofence.points);
+}
+
+/**
+ * Geocercas do destino, recarregadas se o intervalo de recarga expirou.
+ * Em caso de falha, mantém a última lista carregada do destino.
+ * @returns {Promise<Array<Object>>}
+ */
+async function ensureGeofences(sankhyaUrl) {
+  const target = sankhyaApi.sankhyaTargetOf(sankhyaUrl);
+  const current = loaded.get(target) || { geofences: [], loadedAt: 0 };
+  if (Date.now() - current.loadedAt < appConfig.geofenceReloadMs) return current.geofences;
+
+  let { geofences } = current;
+  try {
+    geofences = await loadGeofences(sankhyaUrl);
+  } catch (error) {
+    logger.error(`Falha ao carregar geocercas (${target}): ${error.message}. Mantendo ${geofences.length} geocercas atuais.`);
+  }
+  loaded.set(target, { geofences, loadedAt: Date.now() });
+  return geofences;
+}
+
+/**
+ * Avalia as posições contra as geocercas e enfileira eventos de entrada/saída.
+ * Na primeira posição de um dispositivo apenas o estado inicial é registrado (sem eventos).
+ * @param {Array<Object>} positions - Posições no formato padrão
+ * @param {string} sankhyaUrl - URL do Sankhya (origem 'sankhya' das geocercas)
+ * @returns {Promise<Array<Object>>} Eventos gerados
+ */
+export async function evaluateGeofences(positions, sankhyaUrl) {
+  const geofences = await ensureGeofences(sankhyaUrl);
+  if (geofences.length === 0) return [];
+
+  const events = [];
+  const ordered = [...positions].sort((a, b) => a.date - b.date);
+
+  for (const position of ordered) {
+    const lat = Number(position.lat);
+    const lon = Number(position.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+
+    const key = sankhyaApi.targetScopedKey(sankhyaUrl, `${position.type}:${position.identifier}`);
+    const previous = devices[key];
+    if (previous && position.date.getTime() <= previous.lastDate) continue;
+
+    const inside = geofences.filter((g) => contains(g, lat, lon)).map((g) => g.id);
+
+    if (previous) {
+      const before = new Set(previous.inside);
+      const after = new Set(inside);
+      const transitions = [
+        ...inside.filter((id) => !before.has(id)).map((id) => [id, GeofenceEvent.ENTRY]),
+        ...previous.inside
+          .filter((id) => !after.has(id) && geofences.some((g) => g.id === id))
+          .map((id) => [id, GeofenceEvent.EXIT]),
+      ];
+
+      for (const [geofenceId, event] of transitions) {
+        events.push({
+          geofenceId,
+          event,
+          deviceType: position.type,
+          identifier: position.identifier,
+          date: position.date,
+          lat,
+          lon,
+        });
+      }
+    }
+
+    devices[key] = { inside, lastDate: position.date.getTime() };
+  }
+
+  stateStore.set('devices', devices);
+
+  if (events.length > 0) {
+    events.forEach((e) => logger.info(`${e.event} ${e.deviceType} ${e.identifier} na geocerca ${e.geofenceId}.`));
+    eventQueues.of(sankhyaUrl).push(events);
+  }
+  return events;
+}
+
+/**
+ * Grava no Sankhya (AD_EVTCERCA) os eventos pendentes do destino.
+ * Em caso de falha os eventos permanecem na fila para o próximo ciclo.
+ * @param {string} sankhyaUrl - URL do Sankhya
+ */
+export async function flushGeofenceEvents(sankhyaUrl) {
+  const eventQueue = eventQueues.of(sankhyaUrl);
+  const events = eventQueue.getPositions();
+  if (events.length === 0) return;
+  await sankhyaApi.insertGeofenceEvents(events, sankhyaUrl);
+  eventQueue.ack(events);
+}
+
+/**
+ * Observador de posições (ver position.observers.js).
+ */
+export const geofenceObserver = {
+  name: 'Geofence',
+  onPositions: (positions, { sankhyaUrl }) => evaluateGeofences(positions, sankhyaUrl),
+  onLoaded: ({ sankhyaUrl }) => flushGeofenceEvents(sankhyaUrl),
+};
@@ -0,0 +1,83 @@
+import fs from 'fs';
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import * as sankhyaApi from '../sankhya/sankhya.api.js';
+
+const logger = createLogger('GeofenceLoader');
+
+/**
+ * Valida e normaliza uma geocerca.
+ * Formato: { id, name, type: 'circle', lat, lon, radiusM }
+ *       ou { id, name, type: 'polygon', points: [[lat, lon], ...] }
+ * @returns {Object|null} A geocerca normalizada ou null se inválida
+ */
+function normalizeGeofence(raw) {
+  const id = raw.id?.toString();
+  if (!id) return null;
+
+  if (raw.type === 'circle') {
+    const [lat, lon, radiusM] = [Number(raw.lat), Number(raw.lon), Number(raw.radiusM)];
+    if (![lat, lon, radiusM].every(Number.isFinite) || radiusM <= 0) return null;
+    return { id, name: raw.name || id, type: 'circle', lat, lon, radiusM };
+  }
+
+  if (raw.type === 'polygon') {
+    const points = Array.isArray(raw.points)
+      ? raw.points.map(([lat, lon]) => [Number(lat), Number(lon)])
+      : [];
+    if (points.length < 3 || !points.flat().every(Number.isFinite)) return null;
+    return { id, name: raw.name || id, type: 'polygon', points };
+  }
+
+  return null;
+}
+
+/**
+ * Converte uma linha de AD_CERCA para o formato de geocerca.
+ */
+function fromSankhyaRow(row) {
+  let points = null;
+  if (row.TIPO === 'P') {
+    try {
+      points = JSON.parse(row.COORDENADAS);
+    } catch (error) {
+      points = null;
+    }
+  }
+  return {
+    id: row.CODCERCA,
+    name: row.NOME,
+    type: row.TIPO === 'P' ? 'polygon' : 'circle',
+    lat: row.LATITUDE,
+    lon: row.LONGITUDE,
+    radiusM: row.RAIO,
+    points,
+  };
+}
+
+/**
+ * Carrega as geocercas da origem configurada (arquivo local ou Sankhya).
+ * @param {string} baseUrl - URL do Sankhya (origem 'sankhya')
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadGeofences(baseUrl) {
+  let rawList;
+  if (appConfig.geofenceSource === 'sankhya') {
+    rawList = (await sankhyaApi.getGeofences(baseUrl)).map(fromSankhyaRow);
+  } else {
+    rawList = JSON.parse(fs.readFileSync(appConfig.geofenceFile, 'utf8'));
+  }
+
+  const geofences = [];
+  for (const raw of rawList) {
+    const geofence = normalizeGeofence(raw);
+    if (!geofence) {
+      logger.warn(`Geocerca inválida ignorada: ${JSON.stringify(raw)}`);
+      continue;
+    }
+    geofences.push(geofence);
+  }
+
+  logger.info(`${geofences.length} geocercas carregadas (${appConfig.geofenceSource}).`);
+  return geofences;
+}
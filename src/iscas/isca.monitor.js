@@ -0,0 +1,199 @@
+import path from 'path';
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { haversineMeters } from '../utils/geo.js';
+import { createStateStore } from '../storage/state.store.js';
+import { createTargetQueues } from '../jobs/position.observers.js';
+import * as sankhyaApi from '../sankhya/sankhya.api.js';
+
+const logger = createLogger('IscaMonitor');
+
+export const IscaAlert = Object.freeze({
+  SEPARATION: 'SEPARACAO', // Isca longe do caminhão além do tempo tolerado
+  MOVING_IGNITION_OFF: 'IGNICAO_DESLIGADA', // Isca em movimento com o caminhão desligado
+});
+
+// Vínculos ativos de cada Sankhya de destino, indexados pelos identificadores das posições
+// padronizadas: destino -> { byIsca: NUMISCA -> vínculo, byPlate: PLACA -> [vínculos], loadedAt }
+const loaded = new Map();
+
+// Últimas posições e situação de cada vínculo, persistidas entre reinícios
+// Chaves prefixadas pelo destino fora do Sankhya principal (targetScopedKey)
+const stateStore = createStateStore('isca-monitor', { dir: appConfig.dataDir });
+const latest = stateStore.get('latest', {}); // `${type}:${identifier}` -> { lat, lon, ignition, date }
+const pairs = stateStore.get('pairs', {}); // NUMISCA -> { separatedSince, separationAlerted, movingAlerted }
+
+// Alertas aguardando gravação, por Sankhya de destino
+const alertQueues = createTargetQueues('IscaAlerts', {
+  dir: path.join(appConfig.dataDir, 'queue'),
+  maxSize: appConfig.queueMaxPositions,
+});
+
+/**
+ * Vínculos isca -> veículo do destino, recarregados se o intervalo de recarga expirou.
+ * Em caso de falha, mantém os últimos vínculos carregados do destino.
+ * @returns {Promise<{ byIsca: Map, byPlate: Map }>}
+ */
+async function ensureAssociations(sankhyaUrl) {
+  const target = sankhyaApi.sankhyaTargetOf(sankhyaUrl);
+  const current = loaded.get(target) || { byIsca: new Map(), byPlate: new Map(), loadedAt: 0 };
+  if (Date.now() - current.loadedAt < appConfig.iscaAssociationReloadMs) return current;
+
+  let { byIsca, byPlate } = current;
+  try {
+    const rows = await sankhyaApi.getIscaAssociations(sankhyaUrl);
+    byIsca = new Map();
+    byPlate = new Map();
+    for (const row of rows) {
+      const association = {
+        sequencia: row.SEQUENCIA,
+        numisca: row.NUMISCA.toString(),
+        codveiculo: row.CODVEICULO,
+        plate: row.PLACA,
+      };
+      byIsca.set(association.numisca, association);
+      byPlate.set(association.plate, [...(byPlate.get(association.plate) || []), association]);
+    }
+    logger.info(`${byIsca.size} vínculos isca/veículo carregados (${target}).`);
+  } catch (error) {
+    logger.error(`Falha ao carregar vínculos isca/veículo (${target}): ${error.message}. Mantendo ${byIsca.size} vínculos atuais.`);
+  }
+  const associations = { byIsca, byPlate, loadedAt: Date.now() };
+  loaded.set(target, associations);
+  return associations;
+}
+
+function createAlert(kind, association, isca, distanceM, date) {
+  logger.warn(
+    `Alerta ${kind}: isca ${association.numisca} / veículo ${association.plate} ` +
+    `(distância ${Math.round(distanceM)} m).`
+  );
+  return {
+    kind,
+    sequencia: association.sequencia,
+    codveiculo: association.codveiculo,
+    numisca: association.numisca,
+    plate: association.plate,
+    date: new Date(date),
+    distanceM,
+    lat: isca.lat,
+    lon: isca.lon,
+  };
+}
+
+/**
+ * Compara as últimas posições da isca e do caminhão vinculados.
+ * @param {Object} association - Vínculo isca -> veículo
+ * @param {Object|null} previousIsca - Posição anterior da isca (quando a isca acabou de reportar)
+ * @param {Function} scoped - Chave do estado no destino do vínculo (targetScopedKey)
+ * @returns {Array<Object>} Alertas gerados
+ */
+function evaluatePair(association, previousIsca, scoped) {
+  const isca = latest[scoped(`isca:${association.numisca}`)];
+  const truck = latest[scoped(`vehicle:${association.plate}`)];
+  if (!isca || !truck) return [];
+
+  const pair = pairs[scoped(association.numisca)] ||= {
+    separatedSince: null,
+    separationAlerted: false,
+    movingAlerted: false,
+  };
+  const alerts = [];
+
+  // --- Distância entre isca e caminhão ---
+  const distanceM = haversineMeters(isca.lat, isca.lon, truck.lat, truck.lon);
+  const referenceDate = Math.max(isca.date, truck.date);
+
+  if (distanceM <= appConfig.iscaMaxDistanceM) {
+    if (pair.separationAlerted) {
+      logger.info(`Isca ${association.numisca} voltou para perto do veículo ${association.plate}.`);
+    }
+    pair.separatedSince = null;
+    pair.separationAlerted = false;
+  } else {
+    pair.separatedSince ??= referenceDate;
+    if (!pair.separationAlerted && referenceDate - pair.separatedSince >= appConfig.iscaMaxSeparationMs) {
+      alerts.push(createAlert(IscaAlert.SEPARATION, association, isca, distanceM, referenceDate));
+      pair.separationAlerted = true;
+    }
+  }
+
+  // --- Isca em movimento com o caminhão desligado ---
+  if (truck.ignition !== 'N') {
+    pair.movingAlerted = false;
+  } else if (previousIsca && !pair.movingAlerted) {
+    const movedM = haversineMeters(previousIsca.lat, previousIsca.lon, isca.lat, isca.lon);
+    if (movedM >= appConfig.iscaMoveMinM) {
+      alerts.push(createAlert(IscaAlert.MOVING_IGNITION_OFF, association, isca, distanceM, isca.date));
+      pair.movingAlerted = true;
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Atualiza as últimas posições e avalia os vínculos afetados.
+ * Posições mais antigas que a última conhecida do dispositivo são ignoradas.
+ * @param {Array<Object>} positions - Posições no formato padrão
+ * @param {string} sankhyaUrl - URL do Sankhya
+ * @returns {Promise<Array<Object>>} Alertas gerados
+ */
+export async function evaluateIscaPositions(positions, sankhyaUrl) {
+  const { byIsca, byPlate } = await ensureAssociations(sankhyaUrl);
+  if (byIsca.size === 0) return [];
+
+  const scoped = (key) => sankhyaApi.targetScopedKey(sankhyaUrl, key);
+
+  const alerts = [];
+  const ordered = [...positions].sort((a, b) => a.date - b.date);
+
+  for (const position of ordered) {
+    const associations = position.type === 'isca'
+      ? [byIsca.get(position.identifier)].filter(Boolean)
+      : byPlate.get(position.identifier) || [];
+    if (associations.length === 0) continue;
+
+    const lat = Number(position.lat);
+    const lon = Number(position.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+
+    const key = scoped(`${position.type}:${position.identifier}`);
+    const previous = latest[key];
+    if (previous && position.date.getTime() <= previous.date) continue;
+
+    latest[key] = { lat, lon, ignition: position.ignition, date: position.date.getTime() };
+
+    for (const association of associations) {
+      alerts.push(...evaluatePair(association, position.type === 'isca' ? previous : null, scoped));
+    }
+  }
+
+  stateStore.set('latest', latest);
+  stateStore.set('pairs', pairs);
+
+  if (alerts.length > 0) alertQueues.of(sankhyaUrl).push(alerts);
+  return alerts;
+}
+
+/**
+ * Grava no Sankhya (AD_ALERTISC) os alertas pendentes do destino.
+ * Em caso de falha os alertas permanecem na fila para o próximo ciclo.
+ * @param {string} sankhyaUrl - URL do Sankhya
+ */
+export async function flushIscaAlerts(sankhyaUrl) {
+  const alertQueue = alertQueues.of(sankhyaUrl);
+  const alerts = alertQueue.getPositions();
+  if (alerts.length === 0) return;
+  await sankhyaApi.insertIscaAlerts(alerts, sankhyaUrl);
+  alertQueue.ack(alerts);
+}
+
+/**
+ * Observador de posições (ver position.observers.js).
+ */
+export const iscaMonitorObserver = {
+  name: 'IscaMonitor',
+  onPositions: (positions, { sankhyaUrl }) => evaluateIscaPositions(positions, sankhyaUrl),
+  onLoaded: ({ sankhyaUrl }) => flushIscaAlerts(sankhyaUrl),
+};
@@ -0,0 +1,65 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import axios from 'axios';
+
+/**
+ * Contexto do ciclo em execução, com o AbortSignal do timeout do ciclo (JOB_TIMEOUT_*).
+ *
+ * O createJobLoop executa cada ciclo dentro do contexto; as chamadas HTTP aos
+ * fornecedores e ao Sankhya usam cycleSignal() no `signal` do axios e são canceladas
+ * quando o ciclo estoura o timeout. Fora de um ciclo (CLIs, testes da URL principal do
+ * Sankhya) não há signal e as chamadas seguem apenas o timeout de cada requisição.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Executa `fn` no contexto de um ciclo.
+ * @param {AbortSignal} signal - Cancelado no timeout do ciclo
+ * @param {Function} fn - () => Promise
+ */
+export function runInCycle(signal, fn) {
+  return storage.run({ signal }, fn);
+}
+
+/**
+ * AbortSignal do ciclo em execução (undefined fora de um ciclo).
+ */
+export function cycleSignal() {
+  return storage.getStore()?.signal;
+}
+
+/**
+ * Executa `fn` fora do contexto do ciclo atual. Usado por timers criados durante um
+ * ciclo que não devem herdar o seu signal (ex: testes da URL principal do Sankhya).
+ */
+export function outsideCycle(fn) {
+  return storage.exit(fn);
+}
+
+/**
+ * Aguarda uma promise compartilhada entre ciclos (ex: login no Sankhya) até o timeout do
+ * ciclo atual. O timeout rejeita apenas quem aguarda neste ciclo; a promise segue para os demais.
+ * @param {Promise} promise
+ * @returns {Promise}
+ */
+export function raceCycleSignal(promise) {
+  const signal = cycleSignal();
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+/**
+ * Se o erro é o cancelamento de uma chamada pelo timeout do ciclo (ou o próprio motivo,
+ * rejeitado por raceCycleSignal), retorna o motivo (CycleTimeoutError). Caso contrário, null.
+ * O cancelamento não indica falha do fornecedor nem do Sankhya.
+ */
+export function cycleTimeoutOf(error) {
+  const signal = cycleSignal();
+  return signal?.aborted && (axios.isCancel(error) || error === signal.reason) ? signal.reason : null;
+}
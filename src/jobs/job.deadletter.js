@@ -0,0 +1,89 @@
+import { appConfig, jobsConfig, sankhyaConfig } from '../config/index.js';
+import { findConnectorInstance } from '../config/connectors.js';
+import { createLogger } from '../utils/logger.js';
+import { createDeadLetterStore } from '../storage/dead.letter.js';
+import { discoverConnectors, createConnector } from '../connectors/connector.registry.js';
+import * as sankhyaProcessor from '../sankhya/sankhya.processor.js';
+import { registerSankhyaTarget } from '../sankhya/sankhya.api.js';
+
+const logger = createLogger('DeadLetter');
+
+/**
+ * Registros com falha não transitória, compartilhados pelos jobs e pela CLI.
+ */
+export const deadLetters = createDeadLetterStore('dead-letter', { dir: appConfig.dataDir });
+
+const connectors = new Map(); // source -> instância (mapper das entradas 'map')
+
+/**
+ * Configuração da instância que gerou a entrada. Se a instância não existir mais,
+ * usa a configuração padrão do conector e o Sankhya principal.
+ */
+function getInstanceConfig(entry) {
+  return findConnectorInstance(entry.source)
+    || { ...jobsConfig[entry.connectorType], type: entry.connectorType, sankhya: sankhyaConfig };
+}
+
+async function getConnectorInstance(entry) {
+  if (!connectors.has(entry.source)) {
+    await discoverConnectors();
+    const config = getInstanceConfig(entry);
+    connectors.set(entry.source, createConnector(config.type, config));
+  }
+  return connectors.get(entry.source);
+}
+
+/**
+ * Reprocessa uma entrada da dead-letter com processPositions, no Sankhya de destino
+ * da instância que a gerou.
+ * O reprocessamento deduplica como posições históricas (ledger e histórico do Sankhya), pois
+ * a marca d'água do dispositivo normalmente já passou da data do registro. O filtro de
+ * sanidade não é reaplicado: o registro já passou por ele ou é corrigido manualmente.
+ * A entrada só é removida se todos os registros forem inseridos ou já estiverem no
+ * Sankhya; senão, o erro e as tentativas são atualizados.
+ * @param {Object} entry - Entrada da dead-letter
+ * @param {Object} [options]
+ * @param {boolean} [options.contingency] - Usa a URL de contingência do destino
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+export async function replayDeadLetter(entry, { contingency = false } = {}) {
+  try {
+    const { sankhya } = getInstanceConfig(entry);
+    const sankhyaUrl = contingency ? sankhya.contingencyUrl : sankhya.url;
+    if (!sankhyaUrl) throw new Error('URL do Sankhya não definida para a instância.');
+    registerSankhyaTarget(sankhya);
+
+    let positions;
+    if (entry.stage === 'map') {
+      const connector = await getConnectorInstance(entry);
+      positions = connector.mapToStandard([entry.payload]);
+      if (positions.length === 0) throw new Error('O mapper descartou o registro (dados inválidos).');
+    } else {
+      positions = [{ ...entry.payload, date: new Date(entry.payload.date) }];
+    }
+
+    const { failedBatches, unregistered } = await sankhyaProcessor.processPositions(
+      positions,
+      entry.source,
+      sankhyaUrl,
+      entry.fabricanteId,
+      { historical: true }
+    );
+    if (failedBatches.length > 0) throw failedBatches[0].error;
+    if (unregistered > 0) throw new Error('Dispositivo não cadastrado no Sankhya.');
+
+    deadLetters.remove([entry.id]);
+    logger.info(`Entrada ${entry.id} (${entry.source}) reprocessada com sucesso.`);
+    return { ok: true };
+
+  } catch (error) {
+    deadLetters.update(entry.id, (current) => ({
+      ...current,
+      error: error.message,
+      attempts: current.attempts + 1,
+      lastFailedAt: new Date().toISOString(),
+    }));
+    logger.error(`Falha ao reprocessar a entrada ${entry.id}: ${error.message}`);
+    return { ok: false, error: error.message };
+  }
+}
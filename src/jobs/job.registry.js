@@ -0,0 +1,25 @@
+/**
+ * Registro dos jobs em execução, usado pela API admin para controlá-los.
+ * Cada entrada guarda o handle do loop (createJobLoop) e o estado do job
+ * (createJobStateManager).
+ */
+const jobs = new Map();
+
+/**
+ * Registra um job em execução.
+ * @param {string} name - Nome do Job (ex: 'Atualcargo')
+ * @param {Object} job
+ * @param {Object} job.loop - Handle retornado por createJobLoop
+ * @param {Object} job.state - Gerenciador de estado do job
+ */
+export function registerJob(name, { loop, state }) {
+  jobs.set(name, { name, loop, state });
+}
+
+export function getJob(name) {
+  return jobs.get(name) || null;
+}
+
+export function listJobs() {
+  return [...jobs.values()];
+}
@@ -0,0 +1,245 @@
+/**
+ * Agenda dos jobs: quando deve começar o próximo ciclo.
+ *
+ * - Intervalo fixo (`interval`, ms): contado a partir do fim do ciclo anterior.
+ * - Janelas de horário (`windows`): intervalos diferentes conforme o dia e a hora, ex:
+ *     '1-5 07:00-19:00 60000'   # Seg a sex, das 7h às 19h: a cada 1 min
+ *     '22:00-06:00 1800000'     # Todos os dias, das 22h às 6h: a cada 30 min
+ *   Formato: `[dias] HH:MM-HH:MM intervalo`, com os dias no formato do cron (0-7, 0 e 7 =
+ *   domingo; padrão '*'). Vale a primeira janela que contém o horário; fora delas, o
+ *   `interval`. Janelas que atravessam a meia-noite são aceitas (os dias valem para o
+ *   horário verificado).
+ * - Expressão cron (`cron`): 'minuto hora dia-do-mês mês dia-da-semana', com *, listas,
+ *   faixas e passos (ex: '*\/5 7-19 * * 1-5'). Substitui o intervalo e as janelas.
+ *
+ * Os horários usam o fuso do processo (variável TZ).
+ */
+
+const MINUTE_MS = 60000;
+
+// Limite da busca pelo próximo horário do cron (expressões que nunca ocorrem, ex: 31 de fevereiro)
+const CRON_SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+const CRON_FIELDS = [
+  { name: 'minuto', min: 0, max: 59 },
+  { name: 'hora', min: 0, max: 23 },
+  { name: 'dia do mês', min: 1, max: 31 },
+  { name: 'mês', min: 1, max: 12 },
+  { name: 'dia da semana', min: 0, max: 7 },
+];
+
+/**
+ * Converte um campo do cron no conjunto de valores aceitos.
+ * @param {string} text - Ex: '*', '*\/15', '1-5', '0,30', '8-18/2'
+ * @param {{ name: string, min: number, max: number }} field
+ * @returns {Set<number>}
+ */
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`${name} inválido ("${part}").`);
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : Number(start);
+    // Com passo, um valor único vale como início (ex: '5/15' = 5, 20, 35, 50)
+    const to = range === '*' || (step && end === undefined) ? max : Number(end ?? start);
+    const increment = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`${name} fora dos limites ${min}-${max} ("${part}").`);
+    }
+    for (let value = from; value <= to; value += increment) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Converte uma expressão cron de 5 campos.
+ * @param {string} expression - Ex: '0 *\/2 * * *'
+ * @returns {Object} Expressão convertida (usada por nextCronRun)
+ */
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`a expressão cron deve ter ${CRON_FIELDS.length} campos ("${expression}").`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0); // 7 também é domingo
+
+  return {
+    expression,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Como no cron: com dia do mês E dia da semana restritos, basta um dos dois
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*',
+  };
+}
+
+function matchesCronDay(cron, date) {
+  const dom = cron.daysOfMonth.has(date.getDate());
+  const dow = cron.daysOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dom && dow;
+  return dom || dow;
+}
+
+/**
+ * Próximo horário do cron estritamente posterior a `from`.
+ * @returns {Date|null} null se a expressão nunca ocorre
+ */
+export function nextCronRun(cron, from) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = from.getTime() + CRON_SEARCH_LIMIT_MS;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesCronDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+const parseClock = (text) => {
+  const match = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Converte uma janela de horário.
+ * @param {string} text - Ex: '1-5 07:00-19:00 60000'
+ * @returns {{ text: string, days: Set<number>, start: number, end: number, interval: number }}
+ *   (start e end em minutos desde a meia-noite)
+ */
+export function parseWindow(text) {
+  const parts = String(text).trim().split(/\s+/);
+  if (parts.length < 2 || parts.length > 3) {
+    throw new Error(`janela deve ter o formato "[dias] HH:MM-HH:MM intervalo" ("${text}").`);
+  }
+  const [days, hours, interval] = parts.length === 3 ? parts : ['*', ...parts];
+
+  const [start, end] = hours.split('-').map(parseClock);
+  if (start === null || start === undefined || end === null || end === undefined || start === end) {
+    throw new Error(`horário da janela inválido ("${hours}").`);
+  }
+  if (!/^\d+$/.test(interval) || Number(interval) < 1000) {
+    throw new Error(`intervalo da janela deve ser um inteiro >= 1000 ("${interval}").`);
+  }
+
+  const daysOfWeek = parseCronField(days, CRON_FIELDS[4]);
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+
+  return { text: String(text).trim(), days: daysOfWeek, start, end, interval: Number(interval) };
+}
+
+function windowContains(window, date) {
+  if (!window.days.has(date.getDay())) return false;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return window.start < window.end
+    ? minutes >= window.start && minutes < window.end
+    : minutes >= window.start || minutes < window.end;
+}
+
+/**
+ * Próximo início da janela estritamente posterior a `from`.
+ */
+function nextWindowStart(window, from) {
+  for (let day = 0; day <= 7; day++) {
+    const date = new Date(from);
+    date.setDate(date.getDate() + day);
+    date.setHours(Math.floor(window.start / 60), window.start % 60, 0, 0);
+    if (date > from && window.days.has(date.getDay())) return date;
+  }
+  return null;
+}
+
+/**
+ * Valida a agenda de uma instância de conector.
+ * @param {{ cron?: string|null, windows?: Array<string>|null }} schedule
+ * @returns {Array<string>} Problemas encontrados
+ */
+export function scheduleProblems({ cron, windows }) {
+  const problems = [];
+  if (cron) {
+    try {
+      if (!nextCronRun(parseCron(cron), new Date())) problems.push(`a expressão cron "${cron}" nunca ocorre.`);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+  if (windows !== undefined && windows !== null && !Array.isArray(windows)) {
+    problems.push('"windows" deve ser uma lista.');
+    return problems;
+  }
+  for (const window of windows || []) {
+    try {
+      parseWindow(window);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Cria a agenda de um job.
+ * @param {Object} options
+ * @param {number} options.interval - Intervalo padrão (ms)
+ * @param {string} [options.cron] - Expressão cron (substitui intervalo e janelas)
+ * @param {Array<string>} [options.windows] - Janelas de horário com intervalo próprio
+ */
+export function createSchedule({ interval, cron = null, windows = null }) {
+  const parsedCron = cron ? parseCron(cron) : null;
+  const parsedWindows = (windows || []).map(parseWindow);
+
+  const windowAt = (date) => parsedWindows.find((window) => windowContains(window, date)) || null;
+
+  return {
+    /**
+     * Próxima execução a partir de `from` (fim do ciclo anterior).
+     * Ao entrar em uma janela com intervalo menor, a execução é antecipada para o início dela.
+     * @returns {{ at: Date, reason: string }}
+     */
+    next(from = new Date()) {
+      if (parsedCron) {
+        return { at: nextCronRun(parsedCron, from), reason: `cron "${parsedCron.expression}"` };
+      }
+
+      const current = windowAt(from);
+      const currentInterval = current?.interval ?? interval;
+      let next = {
+        at: new Date(from.getTime() + currentInterval),
+        reason: current ? `janela "${current.text}"` : 'intervalo',
+      };
+
+      for (const window of parsedWindows) {
+        const start = nextWindowStart(window, from);
+        if (!start || start >= next.at || windowAt(start) !== window) continue;
+        if (window.interval < currentInterval) next = { at: start, reason: `início da janela "${window.text}"` };
+      }
+      return next;
+    },
+
+    describe() {
+      return { interval, cron, windows: parsedWindows.map((window) => window.text) };
+    },
+  };
+}
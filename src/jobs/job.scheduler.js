@@ -1,98 +1,286 @@
+import path from 'path';
 import logger, { createLogger } from '../utils/logger.js'; // Importa o createLogger daqui
-import { delay } from '../utils/dateTime.js'; // CORRIGIDO: de 'helpers.js' para 'dateTime.js'
-import { appConfig } from '../config/app.js';
-import { sankhyaConfig } from '../config/sankhya.js'; // Importa o sankhyaConfig
+import { formatForLog } from '../utils/dateTime.js';
+import { CycleTimeoutError } from '../utils/errors.js';
+import { appConfig, sankhyaConfig } from '../config/index.js';
+import { createPositionQueue } from '../storage/position.queue.js';
+import { getJobStatus } from './job.status.js';
+import { jobCycles, jobCycleDuration } from '../utils/metrics.js';
+import { getSankhyaEndpoint } from '../sankhya/sankhya.endpoints.js';
+import { createSchedule } from './job.schedule.js';
+import { runInCycle, raceCycleSignal } from './job.cycle.js';
+
+// setTimeout aceita no máximo ~24,8 dias
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const describeSchedule = ({ interval, cron, windows }) => {
+  if (cron) return `cron "${cron}"`;
+  const base = `a cada ${interval / 60000} min`;
+  return windows?.length ? `${base} (janelas: ${windows.join('; ')})` : base;
+};
 
 /**
  * Cria e gerencia um loop de job seguro (setTimeout recursivo).
+ * O próximo ciclo só é agendado ao fim do anterior: ciclos do mesmo job nunca se sobrepõem.
+ * No timeout do ciclo, o ciclo é encerrado sem aguardar a função do job; enquanto ela não
+ * terminar, as execuções seguintes são adiadas.
+ * Retorna um handle para controlar o loop em tempo de execução (API admin).
  * @param {string} name - Nome do Job (para logs)
- * @param {Function} jobFunction - A função async 'run' do job
- * @param {number} intervalMs - O intervalo em milissegundos
+ * @param {Function} jobFunction - A função async 'run' do job. Recebe { signal }, cancelado
+ *   no timeout do ciclo (as chamadas HTTP do ciclo também o recebem, ver job.cycle.js)
+ * @param {Object} schedule - Agenda do job (ver job.schedule.js)
+ * @param {number} schedule.interval - O intervalo em milissegundos
+ * @param {string} [schedule.cron] - Expressão cron (substitui o intervalo e as janelas)
+ * @param {Array<string>} [schedule.windows] - Janelas de horário com intervalo próprio
+ * @param {number} [schedule.jitter] - Atraso aleatório máximo da primeira execução (ms)
+ * @param {number} [schedule.cycleTimeout] - Timeout de cada ciclo (ms, 0 = sem timeout)
  */
-export function createJobLoop(name, jobFunction, intervalMs) {
-  logger.info(
-    `[JobScheduler] Agendando job [${name}] para rodar a cada ${intervalMs / 60000} minutos.`
-  );
+export function createJobLoop(name, jobFunction, schedule) {
+  let options = { ...schedule };
+  let plan = createSchedule(options);
+
+  const status = getJobStatus(name);
+  status.intervalMs = options.interval;
+  status.schedule = plan.describe();
+  status.cycleTimeoutMs = options.cycleTimeout || null;
+  status.paused = false;
+  status.nextRunAt = null;
+
+  let timer = null;
+  let running = false;
+  let triggerRequested = false;
+  // Função do job de um ciclo encerrado pelo timeout que ainda não terminou
+  let overrunning = false;
+
+  const scheduleAt = (at) => {
+    clearTimeout(timer);
+    status.nextRunAt = at;
+    const delayMs = Math.max(0, at.getTime() - Date.now());
+    // Agendas mais longas que o limite do setTimeout (ex: cron mensal) são reagendadas
+    timer = delayMs > MAX_TIMER_MS
+      ? setTimeout(() => scheduleAt(at), MAX_TIMER_MS)
+      : setTimeout(loop, delayMs);
+  };
+
+  // Agenda o próximo ciclo pela agenda do job, registrando o horário no log
+  const scheduleNext = (message) => {
+    const { at, reason } = plan.next(new Date());
+    scheduleAt(at);
+    const inMin = ((at.getTime() - Date.now()) / 60000).toFixed(1);
+    logger.info(`[Job: ${name}] ${message} Próxima execução em ${formatForLog(at)} (${inMin} min, ${reason}).`);
+  };
 
   const loop = async () => {
+    if (running) return; // Ciclo anterior ainda em andamento
+    timer = null;
+    status.nextRunAt = null;
+    if (overrunning) {
+      scheduleNext('O ciclo encerrado pelo timeout ainda não terminou. Execução adiada.');
+      return;
+    }
+    running = true;
     logger.info(`--- [Iniciando Job: ${name}] ---`);
+    status.running = true;
+    status.lastStartedAt = new Date();
+    const endTimer = jobCycleDuration.startTimer({ job: name });
+
+    // Timeout do ciclo: encerra o ciclo e cancela as chamadas HTTP e esperas em andamento
+    const controller = new AbortController();
+    const { cycleTimeout } = options;
+    const timeout = cycleTimeout > 0
+      ? setTimeout(() => {
+        logger.warn(`[Job: ${name}] Ciclo excedeu o timeout de ${cycleTimeout / 1000}s. Encerrando o ciclo e cancelando as chamadas em andamento...`);
+        controller.abort(new CycleTimeoutError(name, cycleTimeout));
+      }, cycleTimeout)
+      : null;
+
+    let finished = false;
+    const execution = runInCycle(controller.signal, () => jobFunction({ signal: controller.signal }))
+      .finally(() => { finished = true; });
+
     try {
-      await jobFunction();
+      await runInCycle(controller.signal, () => raceCycleSignal(execution));
     } catch (error) {
-      // Pega erros não tratados dentro da função 'run' do job
-      logger.error(
-        `[Job: ${name}] Erro fatal não tratado no loop: ${error.message}`,
-        { stack: error.stack }
-      );
+      // Pega erros não tratados dentro da função 'run' do job (o timeout já foi registrado)
+      if (!(error instanceof CycleTimeoutError)) {
+        logger.error(
+          `[Job: ${name}] Erro fatal não tratado no loop: ${error.message}`,
+          { stack: error.stack }
+        );
+      }
+      status.lastOutcome = 'error';
+      status.lastError = error.message;
     } finally {
-      const nextRunMin = intervalMs / 60000;
-      logger.info(`[Job: ${name}] Ciclo finalizado. Próxima execução em ${nextRunMin} min.`);
+      clearTimeout(timeout);
+      if (!finished) {
+        // A função do job ignorou o cancelamento: o próximo ciclo aguarda o seu fim
+        overrunning = true;
+        const settle = () => {
+          overrunning = false;
+          logger.info(`[Job: ${name}] O ciclo encerrado pelo timeout terminou.`);
+        };
+        execution.then(settle, settle);
+      }
+      running = false;
+      status.running = false;
+      status.lastFinishedAt = new Date();
+      endTimer();
+      jobCycles.inc({ job: name, outcome: status.lastOutcome || 'unknown' });
+
+      if (triggerRequested) {
+        triggerRequested = false;
+        logger.info(`[Job: ${name}] Ciclo finalizado. Execução manual pendente, iniciando agora.`);
+        scheduleAt(new Date());
+      } else if (status.paused) {
+        logger.info(`[Job: ${name}] Ciclo finalizado. Job pausado, nenhuma execução agendada.`);
+      } else {
+        scheduleNext('Ciclo finalizado.');
+      }
       logger.info(`-----------------------------------`);
-      
-      // Agenda a próxima execução
-      setTimeout(loop, intervalMs);
     }
   };
 
-  // Inicia o primeiro ciclo
-  loop();
+  /**
+   * Altera a agenda do job (intervalo, cron, janelas, timeout do ciclo).
+   * O jitter só se aplica à primeira execução.
+   * @param {Object} changes - Campos alterados (mesmo formato de `schedule`)
+   */
+  function setSchedule(changes) {
+    options = { ...options, ...changes };
+    plan = createSchedule(options);
+    status.intervalMs = options.interval;
+    status.schedule = plan.describe();
+    status.cycleTimeoutMs = options.cycleTimeout || null;
+    logger.info(`[JobScheduler] Agenda do job [${name}] alterada: ${describeSchedule(options)}.`);
+    if (!running && !status.paused) scheduleNext('Agenda alterada.');
+  }
+
+  // Primeira execução: imediata (ou no primeiro horário do cron), com o jitter de inicialização
+  const jitterMs = Math.round(Math.random() * (options.jitter || 0));
+  const firstRun = options.cron ? plan.next(new Date()).at : new Date();
+  scheduleAt(new Date(firstRun.getTime() + jitterMs));
+  logger.info(
+    `[JobScheduler] Agendando job [${name}]: ${describeSchedule(options)}. Primeira execução em ${formatForLog(status.nextRunAt)}.`
+  );
+
+  return {
+    name,
+
+    isRunning() {
+      return running;
+    },
+
+    // Interrompe o agendamento. Um ciclo em andamento termina normalmente.
+    pause() {
+      if (status.paused) return;
+      status.paused = true;
+      clearTimeout(timer);
+      timer = null;
+      status.nextRunAt = null;
+      logger.warn(`[JobScheduler] Job [${name}] pausado.`);
+    },
+
+    // Retoma o agendamento executando um ciclo imediatamente
+    resume() {
+      if (!status.paused) return;
+      status.paused = false;
+      logger.info(`[JobScheduler] Job [${name}] retomado.`);
+      if (!running) scheduleAt(new Date());
+    },
+
+    // Executa um ciclo fora da agenda (após o ciclo atual, se houver um em andamento)
+    trigger() {
+      logger.info(`[JobScheduler] Execução manual do job [${name}] solicitada.`);
+      if (running) {
+        triggerRequested = true;
+      } else {
+        scheduleAt(new Date());
+      }
+    },
+
+    setSchedule,
+
+    // Agenda em vigor ({ interval, cron, windows })
+    getSchedule() {
+      return plan.describe();
+    },
+
+    setInterval(newIntervalMs) {
+      setSchedule({ interval: newIntervalMs });
+    },
+  };
 }
 
 
 /**
  * Cria um gerenciador de estado para um job (cache, URL Sankhya).
+ * O cache de posições é persistido em disco e recuperado na inicialização.
+ * A URL do Sankhya em uso (principal ou contingência) é compartilhada com os demais
+ * jobs do mesmo destino (ver sankhya.endpoints.js).
  * @param {string} sourceName - Nome do Job (ex: 'Atualcargo')
  * @param {Object} config - Configurações (sankhyaConfig, appConfig)
  */
 export function createJobStateManager(sourceName, config) {
   const logger = createLogger(`Job:${sourceName}`);
+  const status = getJobStatus(sourceName);
+  const endpoint = getSankhyaEndpoint(config.sankhya);
+  endpoint.attach(sourceName);
+
+  const queue = createPositionQueue(sourceName, {
+    dir: path.join(config.app.dataDir, 'queue'),
+    maxSize: config.app.queueMaxPositions,
+  });
+  status.cacheSize = queue.load();
   
   return {
-    cache: null,
-    sankhyaUrl: config.sankhya.url, // URL principal
-    primaryLoginAttempts: 0,
+    queue,
+
+    // URL em uso no destino (principal ou contingência)
+    get sankhyaUrl() {
+      return endpoint.url;
+    },
     
     setCache(data) {
-      this.cache = data;
+      queue.clear();
+      queue.push(data);
+      status.cacheSize = queue.size();
     },
     
+    // Retorna null se não houver posições pendentes
     getCache() {
-      return this.cache;
+      return queue.size() > 0 ? queue.getPositions() : null;
     },
     
     clearCache() {
-      this.cache = null;
+      queue.clear();
+      status.cacheSize = 0;
+    },
+
+    // Remove do cache as posições confirmadas pelo Sankhya
+    ackCache(positions) {
+      queue.ack(positions);
+      status.cacheSize = queue.size();
+    },
+
+    // Conta uma falha de carga das posições do cache. Retorna as tentativas de cada uma.
+    countFailures(positions) {
+      return queue.recordFailure(positions);
+    },
+
+    // Troca forçada de URL (API admin), válida para todos os jobs do destino
+    forceSankhyaEndpoint(target) {
+      endpoint.force(target);
     },
     
-    // Lógica de falha e troca de URL do Sankhya
-    handleSankhyaError(error) {
-      logger.warn(`Erro de rede no Sankhya: ${error.message}. Iniciando lógica de contingência.`);
-
-      if (config.sankhya.contingencyUrl) {
-          if (this.sankhyaUrl === config.sankhya.url) {
-              this.primaryLoginAttempts++;
-              logger.info(`Falha de rede no principal. Tentativa ${this.primaryLoginAttempts}/${config.app.sankhyaRetryLimit}.`);
-              
-              if (this.primaryLoginAttempts >= config.app.sankhyaRetryLimit) {
-                  logger.warn('Limite de falhas no principal atingido. Alternando para contingência.');
-                  this.sankhyaUrl = config.sankhya.contingencyUrl;
-                  this.primaryLoginAttempts = 0;
-              }
-          } else {
-              logger.warn('Falha de rede na contingência. Voltando para o principal.');
-              this.sankhyaUrl = config.sankhya.url; // Volta para o principal
-              this.primaryLoginAttempts = 0;
-          }
-      } else {
-          logger.warn('Erro de rede no Sankhya, mas não há URL de contingência definida.');
-      }
+    // Falha de rede no Sankhya: conta para a troca de URL do destino
+    handleSankhyaError(error, sankhyaUrl) {
+      logger.warn(`Erro de rede no Sankhya (${sankhyaUrl}): ${error.message}. Iniciando lógica de contingência.`);
+      endpoint.reportFailure(sankhyaUrl);
     },
     
-    // Reseta tentativas se o login na URL principal for bem-sucedido
-    handleSankhyaSuccess() {
-        if (this.sankhyaUrl === config.sankhya.url) {
-            this.primaryLoginAttempts = 0;
-        }
+    // Chamada bem-sucedida: zera as falhas seguidas se foi na URL principal
+    handleSankhyaSuccess(sankhyaUrl) {
+      endpoint.reportSuccess(sankhyaUrl);
     }
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,39 @@
+/**
+ * Registro em memória do estado de execução de cada job.
+ * Alimentado pelo createJobLoop, pelo gerenciador de estado e pelo job,
+ * e exposto pelo servidor HTTP (/status e /ready).
+ */
+const statuses = new Map();
+
+/**
+ * Retorna (criando se necessário) o objeto de status de um job.
+ * @param {string} name - Nome do Job (ex: 'Atualcargo')
+ */
+export function getJobStatus(name) {
+  if (!statuses.has(name)) {
+    statuses.set(name, {
+      name,
+      running: false,
+      lastStartedAt: null,
+      lastFinishedAt: null,
+      lastOutcome: null, // 'success' | 'partial' | 'error'
+      lastError: null,
+      lastSuccessAt: null,
+      positions: { fetched: 0, inserted: 0, skipped: 0 }, // Último ciclo
+      cacheSize: 0,
+      sankhyaEndpoint: 'primary', // 'primary' | 'contingency'
+      lastPreview: null, // Resumo do último ciclo em dry-run ou shadow
+    });
+  }
+  return statuses.get(name);
+}
+
+/**
+ * Retorna uma cópia do status de todos os jobs.
+ */
+export function listJobStatuses() {
+  return [...statuses.values()].map((status) => ({
+    ...status,
+    positions: { ...status.positions },
+  }));
+}
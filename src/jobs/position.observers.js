@@ -0,0 +1,74 @@
+import { createLogger } from '../utils/logger.js';
+import { sankhyaConfig } from '../config/index.js';
+import { createPositionQueue } from '../storage/position.queue.js';
+import { sankhyaTargetOf } from '../sankhya/sankhya.api.js';
+
+const logger = createLogger('PositionObservers');
+
+/**
+ * Observadores das posições padronizadas (geocercas, alarmes, etc.).
+ *
+ * Cada observador pode implementar:
+ * - onPositions(positions, context): chamado com as posições recém-mapeadas de um job
+ * - onLoaded(context): chamado após o job gravar as posições no Sankhya
+ *
+ * O context contém { jobName, sankhyaUrl }. Falhas de um observador são
+ * registradas em log e não interrompem o ciclo do job.
+ *
+ * Jobs de instâncias diferentes podem gravar em Sankhyas diferentes: o estado dos
+ * observadores e as filas de eventos são separados por destino (ver createTargetQueues).
+ */
+const observers = [];
+
+/**
+ * @param {Object} observer - { name, onPositions?, onLoaded? }
+ */
+export function registerPositionObserver(observer) {
+  observers.push(observer);
+  logger.info(`Observador de posições [${observer.name}] registrado.`);
+}
+
+async function notify(method, args) {
+  for (const observer of observers) {
+    if (typeof observer[method] !== 'function') continue;
+    try {
+      await observer[method](...args);
+    } catch (error) {
+      logger.error(`Falha no observador [${observer.name}] (${method}): ${error.message}`);
+    }
+  }
+}
+
+export function notifyPositions(positions, context) {
+  return notify('onPositions', [positions, context]);
+}
+
+export function notifyLoaded(context) {
+  return notify('onLoaded', [context]);
+}
+
+/**
+ * Filas persistentes de eventos de um observador, uma por Sankhya de destino, para que
+ * o onLoaded de cada job grave apenas os eventos do seu destino.
+ * A fila do destino principal mantém o nome original (eventos pendentes são preservados).
+ * @param {string} name - Nome da fila (ex: 'GeofenceEvents')
+ * @param {Object} options - Opções de createPositionQueue ({ dir, maxSize })
+ */
+export function createTargetQueues(name, options) {
+  const queues = new Map(); // destino -> fila
+
+  return {
+    /**
+     * Fila do destino de uma URL (principal ou de contingência), carregada no primeiro uso.
+     */
+    of(baseUrl) {
+      const target = sankhyaTargetOf(baseUrl);
+      if (!queues.has(target)) {
+        const queue = createPositionQueue(target === sankhyaConfig.url ? name : `${name} ${target}`, options);
+        queue.load();
+        queues.set(target, queue);
+      }
+      return queues.get(target);
+    },
+  };
+}
@@ -0,0 +1,296 @@
+import { createLogger } from '../utils/logger.js';
+import { sankhyaConfig, appConfig, notificationsConfig } from '../config/index.js';
+import { delay } from '../utils/dateTime.js';
+import { SankhyaTokenError, CycleTimeoutError, isTransientError } from '../utils/errors.js';
+import { createJobStateManager } from './job.scheduler.js';
+import { getJobStatus } from './job.status.js';
+import { ErrorKind } from '../connectors/connector.contract.js';
+import { notifyPositions, notifyLoaded } from './position.observers.js';
+import { filterPositions } from '../validation/position.filter.js';
+import { deadLetters } from './job.deadletter.js';
+import { recordFailure, recordSuccess } from '../notifications/notifier.js';
+import { registerSankhyaTarget } from '../sankhya/sankhya.api.js';
+import { cycleSignal } from './job.cycle.js';
+
+import * as sankhyaProcessor from '../sankhya/sankhya.processor.js';
+import { previewPositions, diffRecords, createPayloadWriter } from '../sankhya/sankhya.preview.js';
+
+/**
+ * Cria o job genérico de extração (conector) e carga (Sankhya).
+ * @param {Object} connector - Instância de conector (ver connector.contract.js)
+ * @param {Object} [options]
+ * @param {Object} [options.sankhya] - Sankhya de destino da instância
+ *   ({ url, contingencyUrl, username, password }). Padrão: o Sankhya principal.
+ * @returns {{ name: string, run: Function, state: Object }}
+ */
+export function createTrackerJob(connector, { sankhya = sankhyaConfig } = {}) {
+  const JOB_NAME = connector.name;
+  const logger = createLogger(`Job:${JOB_NAME}`);
+
+  // --- Gerenciamento de Estado (Cache, URL Sankhya) ---
+  registerSankhyaTarget(sankhya);
+  const state = createJobStateManager(JOB_NAME, { sankhya, app: appConfig });
+  const status = getJobStatus(JOB_NAME);
+  const alertKey = `job-failed:${JOB_NAME}`;
+
+  // Dry-run (nada é gravado) ou shadow (prévia em um Sankhya paralelo a cada ciclo real)
+  const shadowUrl = appConfig.dryRun ? null : sankhyaConfig.shadowUrl;
+  const payloadWriter = appConfig.dryRun || shadowUrl ? createPayloadWriter(appConfig.dryRunOutput) : null;
+
+  function markSuccess() {
+    status.lastOutcome = 'success';
+    status.lastError = null;
+    status.lastSuccessAt = new Date();
+    recordSuccess(alertKey, `O job [${JOB_NAME}] voltou a concluir ciclos com sucesso.`);
+  }
+
+  /**
+   * Conta uma falha não transitória das posições (persistida na fila do cache). As que
+   * atingirem o limite de tentativas são movidas do cache para a dead-letter.
+   */
+  function registerLoadFailure(positions, error) {
+    const attempts = state.countFailures(positions);
+    const exhausted = positions.filter((position, index) => attempts[index] >= appConfig.deadLetterMaxAttempts);
+    if (exhausted.length === 0) return;
+
+    deadLetters.add(exhausted, {
+      stage: 'load',
+      source: JOB_NAME,
+      connectorType: connector.type,
+      fabricanteId: connector.fabricanteId,
+      error,
+      attempts: appConfig.deadLetterMaxAttempts,
+    });
+    state.ackCache(exhausted);
+  }
+
+  /**
+   * Converte as posições brutas. Se o mapper falhar, o lote vai direto para a
+   * dead-letter (o erro se repetiria a cada nova tentativa).
+   * @returns {Array<Object>|null} Posições padronizadas, ou null se o mapper falhou
+   */
+  function mapPositions(positions) {
+    try {
+      return connector.mapToStandard(positions);
+    } catch (error) {
+      logger.error(`Falha no mapper da ${JOB_NAME}: ${error.message}`);
+      deadLetters.add(positions, {
+        stage: 'map',
+        source: JOB_NAME,
+        connectorType: connector.type,
+        fabricanteId: connector.fabricanteId,
+        error,
+        attempts: 1,
+      });
+      connector.commit?.();
+      return null;
+    }
+  }
+
+  /**
+   * Grava os payloads e o resumo do ciclo em dry-run/shadow.
+   */
+  function reportPreview(mode, sankhyaUrl, payloads, summary) {
+    payloadWriter.writeCycle({ mode, job: JOB_NAME, sankhyaUrl }, payloads, summary);
+    status.lastPreview = { mode, at: new Date(), ...summary };
+    logger.info(`[${mode}] Resumo do ciclo: ${JSON.stringify(summary)}`);
+  }
+
+  /**
+   * Ciclo em dry-run: extrai, mapeia, filtra e consulta o Sankhya, mas apenas grava
+   * os payloads. O cursor do conector não avança, o filtro de sanidade não altera o seu
+   * estado nem a quarentena e os observadores não são chamados, para que a mesma janela
+   * possa ser simulada novamente.
+   */
+  async function runDryRun(sankhyaUrl) {
+    await connector.authenticate();
+    const positions = await connector.fetchPositions();
+    status.positions.fetched = positions?.length || 0;
+
+    if (!positions || positions.length === 0) {
+      logger.info('[dry-run] Nenhuma posição recebida. Encerrando ciclo.');
+      markSuccess();
+      return;
+    }
+
+    const mapped = connector.mapToStandard(positions);
+    const accepted = filterPositions(mapped, JOB_NAME, { preview: true });
+    const preview = await previewPositions(accepted, JOB_NAME, sankhyaUrl, connector.fabricanteId);
+    state.handleSankhyaSuccess(sankhyaUrl);
+
+    const wouldInsert = preview.records.vehicle.length + preview.records.isca.length;
+    status.positions.skipped = accepted.length - wouldInsert;
+    reportPreview('dry-run', sankhyaUrl, preview.payloads, {
+      fetched: positions.length,
+      rejected: mapped.length - accepted.length,
+      wouldInsert: { vehicle: preview.records.vehicle.length, isca: preview.records.isca.length },
+      alreadyStored: preview.alreadyStored,
+      unregistered: preview.unregistered,
+      payloads: preview.payloads.length,
+    });
+    markSuccess();
+  }
+
+  /**
+   * Prévia do lote no Sankhya de shadow. Falhas não afetam a carga real.
+   * @returns {Promise<Object|null>} Resultado de previewPositions, ou null em caso de falha
+   */
+  async function previewShadow(positions) {
+    try {
+      return await previewPositions(positions, JOB_NAME, shadowUrl, connector.fabricanteId);
+    } catch (error) {
+      logger.warn(`[shadow] Falha na prévia em ${shadowUrl}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Trata o erro do ciclo conforme sua origem (conector ou Sankhya).
+   */
+  function handleError(error, sankhyaUrl) {
+    const kind = connector.classifyError(error);
+
+    if (kind === ErrorKind.AUTH) {
+      logger.warn(`Forçando re-login da ${JOB_NAME} no próximo ciclo.`);
+      connector.invalidateSession();
+      state.clearCache();
+
+    } else if (kind === ErrorKind.SOURCE) {
+      // O token continua válido: descartá-lo forçaria um novo login e agravaria o rate limit.
+      // O circuito do conector define quando o fornecedor volta a ser chamado.
+      logger.warn(`Falha no fornecedor ${JOB_NAME}: ${error.message}`);
+
+    } else if (error instanceof SankhyaTokenError) {
+      logger.warn(`Erro de Token/Sessão Sankhya. O job tentará novamente com os mesmos dados.`);
+      // O cache NÃO é limpo
+
+    } else if (!isTransientError(error)) {
+      // Erro que se repetiria com os mesmos dados (recusa do Sankhya, bug de processamento)
+      const cachedData = state.getCache();
+      if (cachedData) registerLoadFailure(cachedData, error);
+
+    } else {
+      // Erro de rede/timeout do Sankhya
+      state.handleSankhyaError(error, sankhyaUrl);
+      // O cache NÃO é limpo
+    }
+  }
+
+  /**
+   * Ponto de entrada do Job, chamado pelo createJobLoop
+   */
+  async function run() {
+    status.positions = { fetched: 0, inserted: 0, skipped: 0 };
+    // URL do destino fixada no início do ciclo (uma troca durante o ciclo vale a partir do próximo)
+    const sankhyaUrl = state.sankhyaUrl;
+    try {
+      if (appConfig.dryRun) {
+        await runDryRun(sankhyaUrl);
+        return;
+      }
+
+      // --------------------------------------------------
+      // ETAPA 1: EXTRACT (Rastreador)
+      // --------------------------------------------------
+      if (!state.getCache()) {
+        logger.info('Cache de posições vazio. Buscando na API...');
+        await connector.authenticate();
+        const positions = await connector.fetchPositions();
+
+        if (!positions || positions.length === 0) {
+          logger.info('Nenhuma posição recebida. Encerrando ciclo.');
+          markSuccess();
+          return;
+        }
+        status.positions.fetched = positions.length;
+
+        const mapped = mapPositions(positions);
+        if (!mapped) {
+          status.lastOutcome = 'partial';
+          status.lastError = 'Falha no mapper. Posições movidas para a dead-letter.';
+          return;
+        }
+        const standardData = filterPositions(mapped, JOB_NAME);
+        state.setCache(standardData);
+        connector.commit?.();
+        logger.info(`Dados salvos no cache: ${standardData.length} posições.`);
+
+        await notifyPositions(standardData, { jobName: JOB_NAME, sankhyaUrl });
+      } else {
+        logger.info('Usando posições do cache. Pulando busca na API.');
+      }
+
+      // --------------------------------------------------
+      // ETAPA 2: LOAD (Sankhya)
+      // --------------------------------------------------
+      const cachedData = state.getCache();
+      if (!cachedData || cachedData.length === 0) {
+        logger.info('Cache de posições vazio. Pulando etapa do Sankhya.');
+        markSuccess();
+        return;
+      }
+
+      // A prévia do shadow é feita antes da carga real, para que ambos partam do mesmo
+      // estado quando o shadow aponta para o mesmo Sankhya
+      const shadowPreview = shadowUrl ? await previewShadow(cachedData) : null;
+
+      const { inserted, skipped, insertedKeys, failedPositions, failedBatches } = await sankhyaProcessor.processPositions(
+        cachedData,
+        JOB_NAME,
+        sankhyaUrl,
+        connector.fabricanteId
+      );
+
+      // Apenas as posições dos lotes que falharam permanecem no cache
+      const failed = new Set(failedPositions);
+      state.handleSankhyaSuccess(sankhyaUrl);
+      state.ackCache(cachedData.filter((position) => !failed.has(position)));
+      status.positions.inserted = inserted;
+      status.positions.skipped = skipped;
+
+      failedBatches
+        .filter(({ error }) => !isTransientError(error))
+        .forEach(({ positions, error }) => registerLoadFailure(positions, error));
+
+      if (shadowPreview) {
+        reportPreview('shadow', shadowUrl, shadowPreview.payloads, {
+          ...diffRecords(insertedKeys, shadowPreview.records),
+          alreadyStored: shadowPreview.alreadyStored,
+          unregistered: shadowPreview.unregistered,
+          payloads: shadowPreview.payloads.length,
+        });
+      }
+
+      await notifyLoaded({ jobName: JOB_NAME, sankhyaUrl });
+
+      if (failed.size > 0) {
+        status.lastOutcome = 'partial';
+        status.lastError = `${failed.size} posições em lotes com falha (mantidas no cache ou na dead-letter).`;
+      } else {
+        markSuccess();
+      }
+
+    } catch (error) {
+      logger.error(`Erro no ciclo [${JOB_NAME}]: ${error.message}`);
+      status.lastOutcome = 'error';
+      status.lastError = error.message;
+      recordFailure(alertKey, notificationsConfig.failedCycles, (count) => ({
+        title: `Job ${JOB_NAME} falhando`,
+        message: `${count} ciclos seguidos com erro. Último erro: ${error.message}`,
+      }));
+      // Timeout do ciclo: as chamadas foram canceladas, sem indicar falha do fornecedor
+      // ou do Sankhya. As posições pendentes continuam no cache.
+      if (error instanceof CycleTimeoutError) return;
+      handleError(error, sankhyaUrl);
+
+      // Falhas do fornecedor já têm espera própria (novas tentativas e circuito do conector)
+      if (connector.classifyError(error) !== ErrorKind.SOURCE) {
+        logger.info(`Aguardando ${appConfig.jobRetryDelayMs / 1000}s antes de tentar o job novamente...`);
+        // A espera faz parte do ciclo: é interrompida pelo timeout do ciclo
+        await delay(appConfig.jobRetryDelayMs, cycleSignal());
+      }
+    }
+  }
+
+  return { name: JOB_NAME, run, state };
+}
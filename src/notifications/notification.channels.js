@@ -0,0 +1,76 @@
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import { appConfig, notificationsConfig } from '../config/index.js';
+
+/**
+ * Canais de notificação. Cada canal expõe { name, send(notification) }, onde
+ * notification = { kind: 'alert' | 'recovery', key, title, message, date }.
+ */
+
+const SUBJECT_PREFIX = {
+  alert: '[ALERTA]',
+  recovery: '[RECUPERADO]',
+};
+
+function formatText(notification) {
+  return `${SUBJECT_PREFIX[notification.kind]} ${notification.title}\n${notification.message}`;
+}
+
+/**
+ * Webhook genérico: envia a notificação como JSON.
+ */
+export function createWebhookChannel(url) {
+  return {
+    name: 'webhook',
+    send: (notification) => axios.post(url, notification, { timeout: appConfig.timeout }),
+  };
+}
+
+/**
+ * Webhook de chat: payload { text }, aceito por Slack, Teams e Google Chat.
+ */
+export function createChatWebhookChannel(url) {
+  return {
+    name: 'chat',
+    send: (notification) => axios.post(url, { text: formatText(notification) }, { timeout: appConfig.timeout }),
+  };
+}
+
+/**
+ * E-mail via SMTP.
+ */
+export function createEmailChannel(smtp) {
+  const transport = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined,
+  });
+
+  return {
+    name: 'email',
+    send: (notification) => transport.sendMail({
+      from: smtp.from,
+      to: smtp.to,
+      subject: `${SUBJECT_PREFIX[notification.kind]} ${notification.title}`,
+      text: `${notification.message}\n\nData: ${notification.date.toISOString()}`,
+    }),
+  };
+}
+
+/**
+ * Cria os canais configurados.
+ */
+export function createConfiguredChannels() {
+  const channels = [];
+  if (notificationsConfig.webhookUrl) {
+    channels.push(createWebhookChannel(notificationsConfig.webhookUrl));
+  }
+  if (notificationsConfig.chatWebhookUrl) {
+    channels.push(createChatWebhookChannel(notificationsConfig.chatWebhookUrl));
+  }
+  if (notificationsConfig.smtp.host && notificationsConfig.smtp.to.length > 0) {
+    channels.push(createEmailChannel(notificationsConfig.smtp));
+  }
+  return channels;
+}
@@ -0,0 +1,95 @@
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { createStateStore } from '../storage/state.store.js';
+import { createConfiguredChannels } from './notification.channels.js';
+
+const logger = createLogger('Notifier');
+
+const channels = createConfiguredChannels();
+
+// Alertas ativos (deduplicação e aviso de recuperação), persistidos entre reinícios
+const store = createStateStore('alerts', { dir: appConfig.dataDir });
+const activeAlerts = store.get('active', {}); // key -> { title, raisedAt }
+
+// Falhas consecutivas por chave (recordFailure / recordSuccess)
+const failureCounts = new Map();
+
+/**
+ * Envia a notificação para todos os canais. Falhas de envio são apenas registradas em log.
+ */
+async function dispatch(notification) {
+  if (channels.length === 0) return;
+  const results = await Promise.allSettled(channels.map((channel) => channel.send(notification)));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logger.error(`Falha ao enviar notificação pelo canal ${channels[index].name}: ${result.reason.message}`);
+    }
+  });
+}
+
+/**
+ * Dispara um alerta. Enquanto estiver ativo, novos disparos da mesma chave são ignorados.
+ * @param {string} key - Identificador do alerta (ex: 'job-failed:Sitrax')
+ * @param {{ title: string, message: string }} alert
+ */
+export function raiseAlert(key, { title, message }) {
+  if (activeAlerts[key]) return;
+
+  const date = new Date();
+  activeAlerts[key] = { title, raisedAt: date.toISOString() };
+  store.set('active', activeAlerts);
+
+  logger.warn(`Alerta [${key}]: ${title} - ${message}`);
+  dispatch({ kind: 'alert', key, title, message, date });
+}
+
+/**
+ * Encerra um alerta ativo e envia o aviso de recuperação.
+ * @param {string} key - Identificador do alerta
+ * @param {string} message - Mensagem de recuperação
+ */
+export function resolveAlert(key, message) {
+  const active = activeAlerts[key];
+  if (!active) return;
+
+  delete activeAlerts[key];
+  store.set('active', activeAlerts);
+
+  const durationMin = Math.round((Date.now() - new Date(active.raisedAt).getTime()) / 60000);
+  const fullMessage = `${message} (alerta ativo por ${durationMin} min)`;
+  logger.info(`Recuperado [${key}]: ${fullMessage}`);
+  dispatch({ kind: 'recovery', key, title: active.title, message: fullMessage, date: new Date() });
+}
+
+/**
+ * Conta uma falha consecutiva e dispara o alerta ao atingir o limite.
+ * @param {string} key - Identificador do alerta
+ * @param {number} threshold - Falhas consecutivas necessárias
+ * @param {Function} buildAlert - (count) => { title, message }
+ */
+export function recordFailure(key, threshold, buildAlert) {
+  const count = (failureCounts.get(key) || 0) + 1;
+  failureCounts.set(key, count);
+  if (count >= threshold) raiseAlert(key, buildAlert(count));
+}
+
+/**
+ * Zera as falhas consecutivas e encerra o alerta, se ativo.
+ * @param {string} key - Identificador do alerta
+ * @param {string} message - Mensagem de recuperação
+ */
+export function recordSuccess(key, message) {
+  failureCounts.delete(key);
+  resolveAlert(key, message);
+}
+
+/**
+ * Alertas ativos no momento.
+ */
+export function listActiveAlerts() {
+  return Object.entries(activeAlerts).map(([key, alert]) => ({ key, ...alert }));
+}
+
+if (channels.length > 0) {
+  logger.info(`Notificações habilitadas: ${channels.map((c) => c.name).join(', ')}.`);
+}
@@ -1,19 +1,21 @@
 import axios from 'axios';
-import { sankhyaConfig } from '../config/sankhya.js'; // CAMINHO CORRIGIDO
-import { appConfig } from '../config/app.js'; // CAMINHO CORRIGIDO
+import { sankhyaConfig, appConfig, notificationsConfig } from '../config/index.js';
 import { createLogger } from '../utils/logger.js'; // CAMINHO CORRIGIDO
 import { 
   formatForSankhyaInsert, // FUNÇÃO CORRIGIDA
   parseSitraxDate,
   parseSankhyaQueryDate 
 } from '../utils/dateTime.js'; // CAMINHO CORRIGIDO
+import { SankhyaTokenError, SankhyaServiceError, QueryBuildError } from '../utils/errors.js';
+import { timeRequest, sankhyaRelogins } from '../utils/metrics.js';
+import { chunk, settleWithConcurrency } from '../utils/batch.js';
+import { recordFailure, recordSuccess } from '../notifications/notifier.js';
+import { cycleSignal, cycleTimeoutOf, raceCycleSignal } from '../jobs/job.cycle.js';
 import { TextDecoder } from 'util';
 
 const logger = createLogger('SankhyaAPI');
 
 // --- Gerenciador da Instância do Axios ---
-let apiClient = createApiClient(sankhyaConfig.url);
-
 function createApiClient(baseUrl) {
   return axios.create({
     baseURL: baseUrl,
@@ -31,99 +33,236 @@ function createApiClient(baseUrl) {
   });
 }
 
-// --- Gerenciamento de Sessão ---
-let jsessionid = null;
-let loginPromise = null;
+// --- Saúde da conexão (exposta em /ready) ---
+const health = {
+  lastSuccessAt: null,
+  lastErrorAt: null,
+  lastError: null,
+};
+
+/**
+ * Retorna o resultado das últimas chamadas ao Sankhya.
+ * O Sankhya é considerado acessível se a última chamada foi bem-sucedida.
+ * Chamadas ao Sankhya de shadow não entram nesta conta.
+ */
+export function getSankhyaHealth() {
+  const reachable = !!health.lastSuccessAt &&
+    (!health.lastErrorAt || health.lastSuccessAt >= health.lastErrorAt);
+  return { ...health, reachable };
+}
+
+// --- Destinos (Sankhya de cada conector: URL principal, contingência e credenciais) ---
+const targets = new Map(); // URL (principal ou contingência) -> { url, username, password }
+
+/**
+ * Registra um Sankhya de destino, com as credenciais usadas nas duas URLs.
+ * @param {{ url: string, contingencyUrl?: string, username: string, password: string }} target
+ */
+export function registerSankhyaTarget({ url, contingencyUrl, username, password }) {
+  const target = { url, username, password };
+  for (const targetUrl of [url, contingencyUrl].filter(Boolean)) {
+    const current = targets.get(targetUrl);
+    if (current && (current.url !== url || current.username !== username)) {
+      logger.warn(`[Sankhya] ${targetUrl} já registrado com outro destino/usuário. Usando o último registro.`);
+    }
+    targets.set(targetUrl, target);
+  }
+}
+
+function targetFor(baseUrl) {
+  return targets.get(baseUrl) || { url: baseUrl, username: sankhyaConfig.username, password: sankhyaConfig.password };
+}
+
+/**
+ * URL principal do destino de uma URL (a contingência é a mesma base de dados da principal).
+ * Usada para separar os caches locais por base de dados.
+ * @param {string} baseUrl - URL principal ou de contingência
+ */
+export function sankhyaTargetOf(baseUrl) {
+  return targetFor(baseUrl).url;
+}
 
-async function performLogin(baseUrl) {
-  logger.info(`[Sankhya] Autenticando (iniciando nova sessão) em ${baseUrl}...`);
-  apiClient = createApiClient(baseUrl);
+/**
+ * Chave de um estado local separado por destino (CODVEICULO, placas e números de isca
+ * se repetem entre bases de dados diferentes). No destino principal a chave não tem
+ * prefixo, mantendo o estado gravado antes das múltiplas instâncias.
+ * @param {string} baseUrl - URL principal ou de contingência
+ * @param {string|number} key
+ */
+export function targetScopedKey(baseUrl, key) {
+  const target = sankhyaTargetOf(baseUrl);
+  return target === sankhyaConfig.url ? String(key) : `${target}|${key}`;
+}
+
+registerSankhyaTarget(sankhyaConfig);
+if (sankhyaConfig.shadowUrl && sankhyaConfig.shadowUrl !== sankhyaConfig.url) {
+  registerSankhyaTarget({
+    url: sankhyaConfig.shadowUrl,
+    username: sankhyaConfig.shadowUsername,
+    password: sankhyaConfig.shadowPassword,
+  });
+}
+
+// --- Gerenciamento de Sessão (uma por URL do Sankhya) ---
+const sessions = new Map(); // baseUrl -> { client, jsessionid, loginPromise, shadow, probe }
+
+function createSession(baseUrl) {
+  return {
+    baseUrl,
+    client: createApiClient(baseUrl),
+    jsessionid: null,
+    loginPromise: null,
+    // O Sankhya de shadow não afeta a saúde nem os alertas de login
+    shadow: !!sankhyaConfig.shadowUrl && baseUrl === sankhyaConfig.shadowUrl && baseUrl !== sankhyaConfig.url,
+    // Sessão de teste (probeSankhya): também não afeta a saúde nem os alertas
+    probe: false,
+  };
+}
+
+function getSession(baseUrl) {
+  let session = sessions.get(baseUrl);
+  if (!session) {
+    session = createSession(baseUrl);
+    sessions.set(baseUrl, session);
+  }
+  return session;
+}
+
+function recordHealth(session, error) {
+  if (session.shadow || session.probe) return;
+  if (error) {
+    health.lastErrorAt = new Date();
+    health.lastError = error.message;
+  } else {
+    health.lastSuccessAt = new Date();
+  }
+}
+
+async function performLogin(session) {
+  const { baseUrl } = session;
+  const { username, password } = targetFor(baseUrl);
+  const alertKey = session.shadow ? 'login:Sankhya-shadow' : 'login:Sankhya';
+  // Os testes periódicos da URL principal (probeSankhya) só aparecem em debug
+  const infoLevel = session.probe ? 'debug' : 'info';
+  logger.log(infoLevel, `[Sankhya] Autenticando (iniciando nova sessão) em ${baseUrl}...`);
+  session.client = createApiClient(baseUrl);
   
   try {
     const loginBody = {
       serviceName: 'MobileLoginSP.login',
       requestBody: {
-        NOMUSU: { $: sankhyaConfig.username }, // CORRIGIDO
-        INTERNO: { $: sankhyaConfig.password }, // CORRIGIDO
+        NOMUSU: { $: username }, // CORRIGIDO
+        INTERNO: { $: password }, // CORRIGIDO
         KEEPCONNECTED: { $: 'S' },
       },
     };
     
-    const response = await axios.post(
+    const response = await timeRequest('sankhya', 'MobileLoginSP.login', () => axios.post(
       '/service.sbr?serviceName=MobileLoginSP.login&outputType=json',
       loginBody,
       {
-        baseURL: apiClient.defaults.baseURL,
-        timeout: apiClient.defaults.timeout,
-        responseType: 'json' 
+        baseURL: session.client.defaults.baseURL,
+        timeout: session.client.defaults.timeout,
+        responseType: 'json',
       }
-    );
+    ));
 
     const data = response.data;
     if (data.status === '1' && data.responseBody?.jsessionid?.$) {
-      jsessionid = data.responseBody.jsessionid.$;
-      logger.info(`[Sankhya] Login bem-sucedido. JSessionID: ${jsessionid.substring(0, 10)}...`);
+      session.jsessionid = data.responseBody.jsessionid.$;
+      logger.log(infoLevel, `[Sankhya] Login bem-sucedido. JSessionID: ${session.jsessionid.substring(0, 10)}...`);
+      if (!session.probe) recordSuccess(alertKey, `Login no Sankhya normalizado em ${baseUrl}.`);
     } else {
       logger.error(`[Sankhya] Falha de autenticação: ${data.statusMessage}`, data);
       throw new SankhyaTokenError(`Falha de autenticação no Sankhya: ${data.statusMessage}`);
     }
   } catch (error) {
+    recordHealth(session, error);
+    if (!session.probe) {
+      recordFailure(alertKey, notificationsConfig.loginFailures, (count) => ({
+        title: session.shadow ? 'Falha de login no Sankhya de shadow' : 'Falha de login no Sankhya',
+        message: `${count} falhas seguidas de login em ${baseUrl}. Último erro: ${error.message}`,
+      }));
+    }
     if (error instanceof SankhyaTokenError) throw error;
-    logger.error(`[Sankhya] Erro crítico ao fazer login: ${error.message}`);
-    jsessionid = null;
+    logger.log(session.probe ? 'debug' : 'error', `[Sankhya] Erro crítico ao fazer login: ${error.message}`);
+    session.jsessionid = null;
     throw new Error(`Falha no login da Sankhya: ${error.message}`);
   } finally {
-    loginPromise = null;
+    session.loginPromise = null;
   }
 }
 
-async function login(baseUrl) {
-  if (jsessionid && !loginPromise) {
+/**
+ * Descarta a sessão. O próximo request autentica novamente.
+ * @param {string} [baseUrl] - URL da sessão a descartar (todas, se omitida)
+ */
+export function resetSankhyaSession(baseUrl) {
+  const targets = baseUrl ? [sessions.get(baseUrl)].filter(Boolean) : [...sessions.values()];
+  logger.info(`[Sankhya] Sessão descartada${baseUrl ? ` (${baseUrl})` : ''}. Nova autenticação no próximo request.`);
+  targets.forEach((session) => { session.jsessionid = null; });
+}
+
+/**
+ * Autentica a sessão, compartilhando o login em andamento entre os jobs.
+ * O login em si não usa o signal de nenhum ciclo (apenas o timeout da requisição):
+ * cada chamador aguarda até o timeout do próprio ciclo (raceCycleSignal).
+ */
+async function login(session) {
+  if (session.jsessionid && !session.loginPromise) {
     return;
   }
-  if (loginPromise) {
+  if (session.loginPromise) {
     logger.debug('[Sankhya] Aguardando login em andamento...');
-    return loginPromise;
+  } else {
+    session.loginPromise = performLogin(session);
   }
-  loginPromise = performLogin(baseUrl);
-  return loginPromise;
+  return raceCycleSignal(session.loginPromise);
 }
 
-async function makeRequest(serviceName, requestBody, baseUrl) {
-  if (!jsessionid) {
-      await login(baseUrl);
+async function makeRequest(serviceName, requestBody, baseUrl, session = getSession(baseUrl)) {
+  if (!session.jsessionid) {
+      await login(session);
   }
 
   const url = `/service.sbr?serviceName=${serviceName}&outputType=json`;
   const body = { serviceName, requestBody };
   const headers = {
-    'Cookie': `JSESSIONID=${jsessionid}`,
+    'Cookie': `JSESSIONID=${session.jsessionid}`,
   };
 
   try {
-    const response = await apiClient.post(url, body, { headers });
+    const response = await timeRequest('sankhya', serviceName, () => session.client.post(url, body, { headers, signal: cycleSignal() }));
     
     if (response.data.status === '1') {
+      recordHealth(session);
       return response.data.responseBody;
     }
     
     if (response.data.status === '3' && response.data.statusMessage === 'Não autorizado.') {
       logger.warn('[Sankhya] JSessionID expirado ou inválido (Não autorizado). Reautenticando...');
-      jsessionid = null;
-      await login(baseUrl); 
+      sankhyaRelogins.inc();
+      session.jsessionid = null;
+      await login(session); 
       
-      const newHeaders = { Cookie: `JSESSIONID=${jsessionid}` };
-      const retryResponse = await apiClient.post(url, body, { headers: newHeaders });
+      const newHeaders = { Cookie: `JSESSIONID=${session.jsessionid}` };
+      const retryResponse = await timeRequest('sankhya', serviceName, () => session.client.post(url, body, { headers: newHeaders, signal: cycleSignal() }));
 
       if (retryResponse.data.status === '1') {
+        recordHealth(session);
         return retryResponse.data.responseBody;
       }
-      throw new Error(`Falha na requisição Sankhya (${serviceName}) após re-autenticar: ${retryResponse.data.statusMessage}`);
+      throw new SankhyaServiceError(serviceName, `${retryResponse.data.statusMessage} (após re-autenticar)`);
     }
     
-    throw new Error(`Erro na requisição Sankhya (${serviceName}): ${response.data.statusMessage || 'Erro desconhecido'}`);
+    throw new SankhyaServiceError(serviceName, response.data.statusMessage);
 
   } catch (error) {
+    // Cancelada pelo timeout do ciclo: não indica problema no Sankhya
+    const timedOut = cycleTimeoutOf(error);
+    if (timedOut) throw timedOut;
+    recordHealth(session, error);
+
     if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.response?.status === 504) {
       logger.error('[Sankhya] Timeout na requisição.');
       throw new Error(`Timeout da API Sankhya: ${serviceName}`);
@@ -131,12 +270,26 @@ async function makeRequest(serviceName, requestBody, baseUrl) {
     logger.error(`[Sankhya] Falha na chamada de serviço (${serviceName}): ${error.message}`);
     if (error instanceof SankhyaTokenError) throw error;
     if (error.message.includes('connect') || error.message.includes('Timeout')) {
-        jsessionid = null;
+        session.jsessionid = null;
     }
     throw error;
   }
 }
 
+/**
+ * Testa uma URL do Sankhya (login e consulta simples) com uma sessão própria, sem
+ * afetar a saúde, os alertas de login nem a sessão em uso pelos jobs. Se o teste
+ * passar, a sessão de teste passa a ser a sessão da URL.
+ * @param {string} baseUrl - URL do Sankhya
+ * @returns {Promise<void>} Rejeita se a URL não responder corretamente
+ */
+export async function probeSankhya(baseUrl) {
+  const session = { ...createSession(baseUrl), probe: true };
+  await login(session);
+  await makeRequest('DbExplorerSP.executeQuery', { sql: 'SELECT 1 FROM DUAL', params: {} }, baseUrl, session);
+  sessions.set(baseUrl, { ...session, probe: false });
+}
+
 function formatQueryResponse(responseBody) {
   const fields = responseBody.fieldsMetadata?.map((f) => f.name) || [];
   const rows = responseBody.rows || [];
@@ -150,55 +303,274 @@ function formatQueryResponse(responseBody) {
   });
 }
 
+// --- Construção segura de SQL (DbExplorerSP) ---
+
+const PLATE_PATTERN = /^[A-Z0-9-]{5,10}$/i;
+const ISCA_NUMBER_PATTERN = /^[A-Z0-9_-]{1,30}$/i;
+
+/**
+ * Trecho de SQL já validado/escapado, inserido sem alteração por `buildQuery`.
+ */
+class SqlFragment {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+export const sql = {
+  /**
+   * Literal string (aspas simples escapadas) ou número finito.
+   */
+  literal(value) {
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) throw new QueryBuildError(`Número SQL inválido: ${value}`);
+      return new SqlFragment(String(value));
+    }
+    if (typeof value !== 'string') {
+      throw new QueryBuildError(`Tipo de literal SQL não suportado: ${typeof value}`);
+    }
+    if (/[\u0000-\u001f]/.test(value)) {
+      throw new QueryBuildError('Literal SQL contém caracteres de controle.');
+    }
+    return new SqlFragment(`'${value.replace(/'/g, "''")}'`);
+  },
+
+  /**
+   * Inteiro (aceita string numérica, ex: IDs vindos do env).
+   */
+  integer(value) {
+    const text = String(value).trim();
+    if (!/^-?\d+$/.test(text)) {
+      throw new QueryBuildError(`Inteiro SQL inválido: ${value}`);
+    }
+    return new SqlFragment(text);
+  },
+
+  /**
+   * Lista de literais para cláusulas IN (...). Não pode ser vazia.
+   */
+  list(values) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new QueryBuildError('Lista SQL vazia.');
+    }
+    return new SqlFragment(values.map((v) => sql.literal(v).text).join(','));
+  },
+};
+
+/**
+ * Tagged template que monta uma consulta SQL com os valores escapados.
+ * Valores são convertidos por `sql.literal` (ou `sql.list` para arrays),
+ * exceto fragmentos criados pelos helpers de `sql`.
+ * @example buildQuery`SELECT * FROM TGFVEI WHERE PLACA IN (${plates})`
+ */
+export function buildQuery(strings, ...values) {
+  return strings.reduce((text, part, index) => {
+    if (index >= values.length) return text + part;
+    const value = values[index];
+    if (value instanceof SqlFragment) return text + part + value.text;
+    if (Array.isArray(value)) return text + part + sql.list(value).text;
+    return text + part + sql.literal(value).text;
+  }, '');
+}
+
+/**
+ * Separa valores válidos dos malformados (que nunca chegam ao SQL).
+ */
+function filterValid(values, pattern, label) {
+  const valid = [];
+  for (const raw of values) {
+    const value = typeof raw === 'string' ? raw.trim() : raw;
+    if (typeof value === 'string' && pattern.test(value)) {
+      valid.push(value);
+    } else {
+      logger.warn(`[Sankhya] Valor malformado rejeitado antes da consulta (${label}): ${JSON.stringify(raw)}`);
+    }
+  }
+  return valid;
+}
+
+export const validatePlates = (plates) => filterValid(plates, PLATE_PATTERN, 'Placa');
+export const validateIscaNumbers = (numbers) => filterValid(numbers, ISCA_NUMBER_PATTERN, 'Número de isca');
+
+/**
+ * Executa uma consulta montada por `buildQuery` no DbExplorer.
+ */
+async function executeQuery(query, baseUrl) {
+  const responseBody = await makeRequest('DbExplorerSP.executeQuery', { sql: query, params: {} }, baseUrl);
+  return formatQueryResponse(responseBody);
+}
+
+/**
+ * Executa uma consulta IN (...) em blocos (limite de 1000 itens do Oracle),
+ * com paralelismo limitado. Falha se qualquer bloco falhar.
+ * @param {Array<string>} values - Valores da cláusula IN
+ * @param {Function} buildChunkQuery - Recebe um bloco de valores e retorna o SQL
+ * @param {string} baseUrl - URL do Sankhya
+ */
+async function executeChunkedQuery(values, buildChunkQuery, baseUrl) {
+  const chunks = chunk(values, appConfig.sankhyaLookupChunkSize);
+  const results = await settleWithConcurrency(
+    chunks,
+    appConfig.sankhyaChunkConcurrency,
+    (values) => executeQuery(buildChunkQuery(values), baseUrl)
+  );
+
+  const failed = results.find((r) => r.status === 'rejected');
+  if (failed) throw failed.reason;
+  return results.flatMap((r) => r.value);
+}
+
 // --- Funções de Consulta ---
 
 export async function getVehiclesByPlate(plates, baseUrl) {
   if (!plates || plates.length === 0) return [];
-  logger.info(`[Sankhya] Consultando CODVEICULO para ${plates.length} placas...`);
+  const validPlates = validatePlates(plates);
+  if (validPlates.length === 0) return [];
+  logger.info(`[Sankhya] Consultando CODVEICULO para ${validPlates.length} placas...`);
   
-  const inClause = plates.map((p) => `'${p.trim()}'`).join(',');
-  const sql = `SELECT VEI.CODVEICULO, VEI.PLACA FROM TGFVEI VEI WHERE VEI.PLACA IN (${inClause})`;
-
-  const responseBody = await makeRequest('DbExplorerSP.executeQuery', { sql, params: {} }, baseUrl);
-  return formatQueryResponse(responseBody);
+  return executeChunkedQuery(
+    validPlates,
+    (plates) => buildQuery`SELECT VEI.CODVEICULO, VEI.PLACA FROM TGFVEI VEI WHERE VEI.PLACA IN (${plates})`,
+    baseUrl
+  );
 }
 
 export async function getIscasByNum(iscaNumbers, fabricanteId, baseUrl) {
   if (!iscaNumbers || iscaNumbers.length === 0) return [];
-  logger.info(`[Sankhya] Consultando SEQUENCIA para ${iscaNumbers.length} iscas (Fabr: ${fabricanteId})...`);
+  const validNumbers = validateIscaNumbers(iscaNumbers);
+  if (validNumbers.length === 0) return [];
+  logger.info(`[Sankhya] Consultando SEQUENCIA para ${validNumbers.length} iscas (Fabr: ${fabricanteId})...`);
 
-  const inClause = iscaNumbers.map((n) => `'${n.trim()}'`).join(',');
-  const sql = `SELECT SEQUENCIA, NUMISCA FROM AD_CADISCA SCA WHERE SCA.NUMISCA IN (${inClause}) AND SCA.FABRICANTE = ${fabricanteId} AND SCA.ATIVO = 'S'`;
+  return executeChunkedQuery(
+    validNumbers,
+    (numbers) => buildQuery`SELECT SEQUENCIA, NUMISCA FROM AD_CADISCA SCA WHERE SCA.NUMISCA IN (${numbers}) AND SCA.FABRICANTE = ${sql.integer(fabricanteId)} AND SCA.ATIVO = ${'S'}`,
+    baseUrl
+  );
+}
 
-  const responseBody = await makeRequest('DbExplorerSP.executeQuery', { sql, params: {} }, baseUrl);
-  return formatQueryResponse(responseBody);
+/**
+ * Cadastros de iscas de um fabricante em AD_CADISCA, ativos ou não.
+ * Usado para não duplicar cadastros criados automaticamente e ainda não aprovados.
+ * @param {Array<string>} iscaNumbers - Números das iscas
+ * @param {string} fabricanteId - ID do fabricante
+ * @param {string} baseUrl - URL do Sankhya
+ */
+export async function findIscaRegistrations(iscaNumbers, fabricanteId, baseUrl) {
+  if (!iscaNumbers || iscaNumbers.length === 0) return [];
+  const validNumbers = validateIscaNumbers(iscaNumbers);
+  if (validNumbers.length === 0) return [];
+
+  return executeChunkedQuery(
+    validNumbers,
+    (numbers) => buildQuery`SELECT NUMISCA, ATIVO FROM AD_CADISCA SCA WHERE SCA.NUMISCA IN (${numbers}) AND SCA.FABRICANTE = ${sql.integer(fabricanteId)}`,
+    baseUrl
+  );
 }
 
-export async function getLastVehicleHistory(baseUrl) {
-  logger.debug('[Sankhya] Consultando último histórico de veículos (AD_LOCATCAR)...');
-  const sql = "WITH UltimoRegistro AS (SELECT CODVEICULO, DATHOR, PLACA, ROW_NUMBER() OVER (PARTITION BY CODVEICULO ORDER BY NUMREG DESC) AS RN FROM AD_LOCATCAR) SELECT CODVEICULO, DATHOR, PLACA FROM UltimoRegistro WHERE RN = 1";
-  
-  const responseBody = await makeRequest('DbExplorerSP.executeQuery', { sql, params: {} }, baseUrl);
-  return formatQueryResponse(responseBody);
+/**
+ * Último histórico (AD_LOCATCAR) apenas dos veículos informados.
+ * @param {Array<number>} codveiculos - CODVEICULO dos veículos
+ * @param {string} baseUrl - URL do Sankhya
+ */
+export async function getLastVehicleHistory(codveiculos, baseUrl) {
+  if (!codveiculos || codveiculos.length === 0) return [];
+  logger.debug(`[Sankhya] Consultando último histórico de ${codveiculos.length} veículos (AD_LOCATCAR)...`);
+
+  return executeChunkedQuery(
+    codveiculos.map(Number),
+    (codes) => buildQuery`WITH UltimoRegistro AS (SELECT CODVEICULO, DATHOR, PLACA, ROW_NUMBER() OVER (PARTITION BY CODVEICULO ORDER BY NUMREG DESC) AS RN FROM AD_LOCATCAR WHERE CODVEICULO IN (${codes})) SELECT CODVEICULO, DATHOR, PLACA FROM UltimoRegistro WHERE RN = 1`,
+    baseUrl
+  );
 }
 
-export async function getLastIscaHistory(baseUrl) {
-  logger.debug('[Sankhya] Consultando último histórico de iscas (AD_LOCATISC)...');
-  const sql = "WITH UltimoRegistro AS (SELECT SEQUENCIA, DATHOR, ISCA, ROW_NUMBER() OVER (PARTITION BY SEQUENCIA ORDER BY NUMREG DESC) AS RN FROM AD_LOCATISC) SELECT SEQUENCIA, DATHOR, ISCA FROM UltimoRegistro WHERE RN = 1";
-  
-  const responseBody = await makeRequest('DbExplorerSP.executeQuery', { sql, params: {} }, baseUrl);
-  return formatQueryResponse(responseBody);
+/**
+ * Último histórico (AD_LOCATISC) apenas das iscas informadas.
+ * @param {Array<number>} sequencias - SEQUENCIA das iscas
+ * @param {string} baseUrl - URL do Sankhya
+ */
+export async function getLastIscaHistory(sequencias, baseUrl) {
+  if (!sequencias || sequencias.length === 0) return [];
+  logger.debug(`[Sankhya] Consultando último histórico de ${sequencias.length} iscas (AD_LOCATISC)...`);
+
+  return executeChunkedQuery(
+    sequencias.map(Number),
+    (codes) => buildQuery`WITH UltimoRegistro AS (SELECT SEQUENCIA, DATHOR, ISCA, ROW_NUMBER() OVER (PARTITION BY SEQUENCIA ORDER BY NUMREG DESC) AS RN FROM AD_LOCATISC WHERE SEQUENCIA IN (${codes})) SELECT SEQUENCIA, DATHOR, ISCA FROM UltimoRegistro WHERE RN = 1`,
+    baseUrl
+  );
 }
 
-// --- Funções de Inserção ---
+/**
+ * Registros de AD_LOCATCAR dos veículos informados em um intervalo de datas.
+ * Usado na reconciliação de envios sem confirmação e na deduplicação de posições históricas.
+ * @param {Array<number>} codveiculos - CODVEICULO dos veículos
+ * @param {Date} since - Data mínima (DATHOR)
+ * @param {Date} until - Data máxima (DATHOR)
+ * @param {string} baseUrl - URL do Sankhya
+ */
+export async function findVehicleHistoryBetween(codveiculos, since, until, baseUrl) {
+  if (!codveiculos || codveiculos.length === 0) return [];
+  const sinceStr = formatForSankhyaInsert(since);
+  const untilStr = formatForSankhyaInsert(until);
 
-export async function insertVehicleHistory(records, baseUrl) {
-  if (records.length === 0) {
-    logger.debug('[Sankhya] Nenhum registro novo para AD_LOCATCAR.');
-    return;
-  }
-  logger.info(`[Sankhya] Inserindo ${records.length} novos registros em AD_LOCATCAR...`);
+  return executeChunkedQuery(
+    codveiculos.map(Number),
+    (codes) => buildQuery`SELECT CODVEICULO, DATHOR FROM AD_LOCATCAR WHERE CODVEICULO IN (${codes}) AND DATHOR BETWEEN TO_DATE(${sinceStr}, ${'DD/MM/YYYY HH24:MI:SS'}) AND TO_DATE(${untilStr}, ${'DD/MM/YYYY HH24:MI:SS'})`,
+    baseUrl
+  );
+}
+
+/**
+ * Registros de AD_LOCATISC das iscas informadas em um intervalo de datas.
+ * Usado na reconciliação de envios sem confirmação e na deduplicação de posições históricas.
+ * @param {Array<number>} sequencias - SEQUENCIA das iscas
+ * @param {Date} since - Data mínima (DATHOR)
+ * @param {Date} until - Data máxima (DATHOR)
+ * @param {string} baseUrl - URL do Sankhya
+ */
+export async function findIscaHistoryBetween(sequencias, since, until, baseUrl) {
+  if (!sequencias || sequencias.length === 0) return [];
+  const sinceStr = formatForSankhyaInsert(since);
+  const untilStr = formatForSankhyaInsert(until);
+
+  return executeChunkedQuery(
+    sequencias.map(Number),
+    (codes) => buildQuery`SELECT SEQUENCIA, DATHOR FROM AD_LOCATISC WHERE SEQUENCIA IN (${codes}) AND DATHOR BETWEEN TO_DATE(${sinceStr}, ${'DD/MM/YYYY HH24:MI:SS'}) AND TO_DATE(${untilStr}, ${'DD/MM/YYYY HH24:MI:SS'})`,
+    baseUrl
+  );
+}
+
+/**
+ * Geocercas ativas cadastradas no Sankhya (AD_CERCA).
+ * TIPO 'C' (círculo: LATITUDE, LONGITUDE, RAIO em metros) ou
+ * 'P' (polígono: COORDENADAS em JSON, [[lat, lon], ...]).
+ * @param {string} baseUrl - URL do Sankhya
+ */
+export async function getGeofences(baseUrl) {
+  logger.debug('[Sankhya] Consultando geocercas (AD_CERCA)...');
+  const query = buildQuery`SELECT CODCERCA, NOME, TIPO, LATITUDE, LONGITUDE, RAIO, COORDENADAS FROM AD_CERCA WHERE ATIVO = ${'S'}`;
+  return executeQuery(query, baseUrl);
+}
 
+/**
+ * Vínculos ativos isca -> veículo (AD_ISCAVEI), com o NUMISCA e a PLACA
+ * usados como identificadores nas posições padronizadas.
+ * @param {string} baseUrl - URL do Sankhya
+ */
+export async function getIscaAssociations(baseUrl) {
+  logger.debug('[Sankhya] Consultando vínculos isca/veículo (AD_ISCAVEI)...');
+  const query = buildQuery`SELECT VIN.SEQUENCIA, SCA.NUMISCA, VIN.CODVEICULO, VEI.PLACA FROM AD_ISCAVEI VIN INNER JOIN AD_CADISCA SCA ON SCA.SEQUENCIA = VIN.SEQUENCIA INNER JOIN TGFVEI VEI ON VEI.CODVEICULO = VIN.CODVEICULO WHERE VIN.ATIVO = ${'S'}`;
+  return executeQuery(query, baseUrl);
+}
+
+// --- Funções de Inserção ---
+
+/**
+ * Monta a chamada DatasetSP.save do histórico de veículos (AD_LOCATCAR).
+ * Também usada pelo modo dry-run/shadow, que grava o payload em vez de enviá-lo.
+ * @param {Array<Object>} records - Registros já resolvidos no Sankhya
+ * @returns {{ serviceName: string, requestBody: Object }}
+ */
+export function buildVehicleHistoryPayload(records) {
   const formattedRecords = records.map(r => {
     const dathorStr = formatForSankhyaInsert(r.date); // CORRIGIDO
     const link = `http://googleusercontent.com/maps/google.com/3{r.lat},${r.lon}`;
@@ -220,7 +592,7 @@ export async function insertVehicleHistory(records, baseUrl) {
     };
   });
 
-  const payload = {
+  return {
     serviceName: 'DatasetSP.save',
     requestBody: {
       dataSetID: '01S',
@@ -233,18 +605,27 @@ export async function insertVehicleHistory(records, baseUrl) {
       records: formattedRecords,
     },
   };
-
-  await makeRequest('DatasetSP.save', payload.requestBody, baseUrl);
-  logger.info(`[Sankhya] Inserção em AD_LOCATCAR concluída.`);
 }
 
-export async function insertIscaHistory(records, baseUrl) {
+export async function insertVehicleHistory(records, baseUrl) {
   if (records.length === 0) {
-    logger.debug('[Sankhya] Nenhum registro novo para AD_LOCATISC.');
+    logger.debug('[Sankhya] Nenhum registro novo para AD_LOCATCAR.');
     return;
   }
-  logger.info(`[Sankhya] Inserindo ${records.length} novos registros em AD_LOCATISC...`);
+  logger.info(`[Sankhya] Inserindo ${records.length} novos registros em AD_LOCATCAR...`);
 
+  const payload = buildVehicleHistoryPayload(records);
+  await makeRequest('DatasetSP.save', payload.requestBody, baseUrl);
+  logger.info(`[Sankhya] Inserção em AD_LOCATCAR concluída.`);
+}
+
+/**
+ * Monta a chamada DatasetSP.save do histórico de iscas (AD_LOCATISC).
+ * Também usada pelo modo dry-run/shadow, que grava o payload em vez de enviá-lo.
+ * @param {Array<Object>} records - Registros já resolvidos no Sankhya
+ * @returns {{ serviceName: string, requestBody: Object }}
+ */
+export function buildIscaHistoryPayload(records) {
   const formattedRecords = records.map(r => {
     const dathorStr = formatForSankhyaInsert(r.date); // CORRIGIDO
     const link = `http://googleusercontent.com/maps/google.com/3{r.lat},${r.lon}`;
@@ -265,7 +646,7 @@ export async function insertIscaHistory(records, baseUrl) {
     };
   });
   
-  const payload = {
+  return {
     serviceName: 'DatasetSP.save',
     requestBody: {
       dataSetID: sankhyaConfig.iscaDatasetId,
@@ -278,7 +659,159 @@ export async function insertIscaHistory(records, baseUrl) {
       records: formattedRecords,
     },
   };
-  
+}
+
+export async function insertIscaHistory(records, baseUrl) {
+  if (records.length === 0) {
+    logger.debug('[Sankhya] Nenhum registro novo para AD_LOCATISC.');
+    return;
+  }
+  logger.info(`[Sankhya] Inserindo ${records.length} novos registros em AD_LOCATISC...`);
+
+  const payload = buildIscaHistoryPayload(records);
   await makeRequest('DatasetSP.save', payload.requestBody, baseUrl);
   logger.info(`[Sankhya] Inserção em AD_LOCATISC concluída.`);
-}
\ No newline at end of file
+}
+
+/**
+ * Cria cadastros inativos (ATIVO = 'N') em AD_CADISCA, para aprovação pela equipe de cadastro.
+ * @param {Array<string>} iscaNumbers - Números das iscas
+ * @param {string} fabricanteId - ID do fabricante
+ * @param {string} baseUrl - URL do Sankhya
+ */
+export async function insertInactiveIscas(iscaNumbers, fabricanteId, baseUrl) {
+  if (iscaNumbers.length === 0) return;
+  logger.info(`[Sankhya] Cadastrando ${iscaNumbers.length} iscas inativas em AD_CADISCA (Fabr: ${fabricanteId})...`);
+
+  const payload = {
+    serviceName: 'DatasetSP.save',
+    requestBody: {
+      dataSetID: sankhyaConfig.iscaRegistrationDatasetId,
+      entityName: 'AD_CADISCA',
+      standAlone: false,
+      fields: ['SEQUENCIA', 'NUMISCA', 'FABRICANTE', 'ATIVO'],
+      records: iscaNumbers.map((numisca) => ({
+        values: {
+          "1": numisca,
+          "2": fabricanteId.toString(),
+          "3": 'N',
+        },
+      })),
+    },
+  };
+
+  await makeRequest('DatasetSP.save', payload.requestBody, baseUrl);
+  logger.info(`[Sankhya] Cadastro em AD_CADISCA concluído.`);
+}
+
+export async function insertGeofenceEvents(events, baseUrl) {
+  if (events.length === 0) {
+    logger.debug('[Sankhya] Nenhum evento novo para AD_EVTCERCA.');
+    return;
+  }
+  logger.info(`[Sankhya] Inserindo ${events.length} eventos de geocerca em AD_EVTCERCA...`);
+
+  const formattedRecords = events.map(e => ({
+    values: {
+      "1": e.geofenceId.toString(),
+      "2": e.event,
+      "3": e.deviceType === 'vehicle' ? 'V' : 'I',
+      "4": e.identifier,
+      "5": formatForSankhyaInsert(e.date),
+      "6": e.lat.toString(),
+      "7": e.lon.toString(),
+    },
+  }));
+
+  const payload = {
+    serviceName: 'DatasetSP.save',
+    requestBody: {
+      dataSetID: sankhyaConfig.geofenceEventDatasetId,
+      entityName: 'AD_EVTCERCA',
+      standAlone: false,
+      fields: [
+        'NUMREG', 'CODCERCA', 'EVENTO', 'TIPO', 'IDENTIFICADOR',
+        'DATHOR', 'LATITUDE', 'LONGITUDE'
+      ],
+      records: formattedRecords,
+    },
+  };
+
+  await makeRequest('DatasetSP.save', payload.requestBody, baseUrl);
+  logger.info(`[Sankhya] Inserção em AD_EVTCERCA concluída.`);
+}
+
+export async function insertIscaAlerts(alerts, baseUrl) {
+  if (alerts.length === 0) {
+    logger.debug('[Sankhya] Nenhum alerta novo para AD_ALERTISC.');
+    return;
+  }
+  logger.info(`[Sankhya] Inserindo ${alerts.length} alertas de isca em AD_ALERTISC...`);
+
+  const formattedRecords = alerts.map(a => ({
+    values: {
+      "1": a.sequencia.toString(),
+      "2": a.codveiculo.toString(),
+      "3": a.kind,
+      "4": formatForSankhyaInsert(a.date),
+      "5": Math.round(a.distanceM).toString(),
+      "6": a.lat.toString(),
+      "7": a.lon.toString(),
+    },
+  }));
+
+  const payload = {
+    serviceName: 'DatasetSP.save',
+    requestBody: {
+      dataSetID: sankhyaConfig.iscaAlertDatasetId,
+      entityName: 'AD_ALERTISC',
+      standAlone: false,
+      fields: [
+        'NUMREG', 'SEQUENCIA', 'CODVEICULO', 'TIPO', 'DATHOR',
+        'DISTANCIA', 'LATITUDE', 'LONGITUDE'
+      ],
+      records: formattedRecords,
+    },
+  };
+
+  await makeRequest('DatasetSP.save', payload.requestBody, baseUrl);
+  logger.info(`[Sankhya] Inserção em AD_ALERTISC concluída.`);
+}
+
+export async function insertPresenceEvents(events, baseUrl) {
+  if (events.length === 0) {
+    logger.debug('[Sankhya] Nenhum evento novo para AD_STATRAST.');
+    return;
+  }
+  logger.info(`[Sankhya] Inserindo ${events.length} mudanças de status de rastreador em AD_STATRAST...`);
+
+  const formattedRecords = events.map(e => ({
+    values: {
+      "1": e.deviceType === 'vehicle' ? 'V' : 'I',
+      "2": e.identifier,
+      "3": e.state,
+      "4": e.previousState,
+      "5": formatForSankhyaInsert(e.date),
+      "6": formatForSankhyaInsert(e.lastReportAt),
+      "7": e.lat.toString(),
+      "8": e.lon.toString(),
+    },
+  }));
+
+  const payload = {
+    serviceName: 'DatasetSP.save',
+    requestBody: {
+      dataSetID: sankhyaConfig.presenceEventDatasetId,
+      entityName: 'AD_STATRAST',
+      standAlone: false,
+      fields: [
+        'NUMREG', 'TIPO', 'IDENTIFICADOR', 'STATUS', 'STATUSANT',
+        'DATHOR', 'ULTPOSICAO', 'LATITUDE', 'LONGITUDE'
+      ],
+      records: formattedRecords,
+    },
+  };
+
+  await makeRequest('DatasetSP.save', payload.requestBody, baseUrl);
+  logger.info(`[Sankhya] Inserção em AD_STATRAST concluída.`);
+}
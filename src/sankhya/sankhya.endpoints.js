@@ -0,0 +1,190 @@
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { sankhyaContingencySwitches } from '../utils/metrics.js';
+import { raiseAlert, resolveAlert } from '../notifications/notifier.js';
+import { getJobStatus } from '../jobs/job.status.js';
+import { outsideCycle } from '../jobs/job.cycle.js';
+import { probeSankhya, resetSankhyaSession } from './sankhya.api.js';
+
+const logger = createLogger('SankhyaEndpoints');
+
+/**
+ * Seleção da URL do Sankhya (principal ou contingência), compartilhada por todos os
+ * jobs que gravam no mesmo destino: a troca feita a partir de um job vale para todos.
+ *
+ * - Após SANKHYA_RETRY_LIMIT_BEFORE_SWAP falhas de rede seguidas na principal, o destino
+ *   passa para a contingência.
+ * - Na contingência, a principal é testada em segundo plano a cada SANKHYA_PROBE_INTERVAL_MS
+ *   e, após SANKHYA_PROBE_SUCCESSES testes bem-sucedidos seguidos, o destino volta para ela.
+ * - Uma falha de rede na contingência também faz o destino voltar para a principal.
+ * - Na troca forçada para a contingência (API admin) a principal não é testada: a volta é manual.
+ */
+const selectors = new Map(); // URL principal -> seletor
+
+function createEndpointSelector({ url, contingencyUrl }) {
+  const alertKey = `sankhya-contingency:${url}`;
+  const jobs = new Set(); // Jobs que gravam no destino (status e métricas)
+
+  let active = 'primary'; // 'primary' | 'contingency'
+  let primaryFailures = 0;
+  let probeTimer = null;
+  let probeSuccesses = 0;
+  let lastProbeAt = null;
+  let lastProbeError = null;
+
+  const urlOf = (endpoint) => (endpoint === 'contingency' ? contingencyUrl : url);
+
+  function stopProbe() {
+    clearTimeout(probeTimer);
+    probeTimer = null;
+    probeSuccesses = 0;
+  }
+
+  function scheduleProbe() {
+    // A troca ocorre durante o ciclo de um job: os testes não herdam o timeout desse ciclo
+    probeTimer = outsideCycle(() => setTimeout(probe, appConfig.sankhyaProbeIntervalMs));
+    probeTimer.unref();
+  }
+
+  async function probe() {
+    lastProbeAt = new Date();
+    try {
+      await probeSankhya(url);
+      probeSuccesses++;
+      lastProbeError = null;
+      logger.info(`URL principal ${url} respondeu ao teste (${probeSuccesses}/${appConfig.sankhyaProbeSuccesses}).`);
+    } catch (error) {
+      probeSuccesses = 0;
+      lastProbeError = error.message;
+      logger.debug(`URL principal ${url} ainda indisponível: ${error.message}`);
+    }
+
+    // A troca pode ter ocorrido durante o teste (ex: troca forçada)
+    if (active !== 'contingency' || !probeTimer) return;
+
+    if (probeSuccesses >= appConfig.sankhyaProbeSuccesses) {
+      logger.info(`URL principal ${url} saudável. Voltando da contingência.`);
+      use('primary');
+    } else {
+      scheduleProbe();
+    }
+  }
+
+  function use(endpoint, { probePrimary = true } = {}) {
+    stopProbe();
+    primaryFailures = 0;
+    if (endpoint === 'contingency' && probePrimary) scheduleProbe();
+    if (active === endpoint) return;
+
+    active = endpoint;
+    jobs.forEach((job) => {
+      getJobStatus(job).sankhyaEndpoint = endpoint;
+      sankhyaContingencySwitches.inc({ job, to: endpoint });
+    });
+
+    if (endpoint === 'contingency') {
+      raiseAlert(alertKey, {
+        title: 'Sankhya em contingência',
+        message: `Os jobs [${[...jobs].join(', ')}] passaram a gravar em ${contingencyUrl}.`,
+      });
+    } else {
+      resolveAlert(alertKey, `Os jobs voltaram para a URL principal do Sankhya (${url}).`);
+    }
+  }
+
+  return {
+    get url() {
+      return urlOf(active);
+    },
+
+    get endpoint() {
+      return active;
+    },
+
+    /**
+     * Vincula um job ao destino (status 'sankhyaEndpoint' e métricas por job).
+     */
+    attach(job) {
+      jobs.add(job);
+      getJobStatus(job).sankhyaEndpoint = active;
+    },
+
+    /**
+     * Registra uma falha de rede em uma das URLs do destino.
+     * @param {string} failedUrl - URL usada na chamada que falhou
+     */
+    reportFailure(failedUrl) {
+      if (!contingencyUrl) {
+        logger.warn(`Erro de rede no Sankhya ${url}, mas não há URL de contingência definida.`);
+        return;
+      }
+      if (failedUrl === url && active === 'primary') {
+        primaryFailures++;
+        logger.info(`Falha de rede no principal ${url}. Tentativa ${primaryFailures}/${appConfig.sankhyaRetryLimit}.`);
+        if (primaryFailures >= appConfig.sankhyaRetryLimit) {
+          logger.warn('Limite de falhas no principal atingido. Alternando para contingência.');
+          use('contingency');
+        }
+      } else if (failedUrl === contingencyUrl && active === 'contingency') {
+        logger.warn(`Falha de rede na contingência ${contingencyUrl}. Voltando para o principal.`);
+        use('primary');
+      }
+    },
+
+    /**
+     * Registra uma chamada bem-sucedida (zera as falhas seguidas da principal).
+     * @param {string} succeededUrl - URL usada na chamada
+     */
+    reportSuccess(succeededUrl) {
+      if (succeededUrl === url) primaryFailures = 0;
+    },
+
+    /**
+     * Troca forçada de URL (API admin).
+     * @param {'primary'|'contingency'} endpoint
+     */
+    force(endpoint) {
+      if (endpoint === 'contingency' && !contingencyUrl) {
+        throw new Error('Não há URL de contingência do Sankhya definida.');
+      }
+      logger.warn(`Troca forçada do Sankhya ${url} para ${endpoint === 'contingency' ? 'contingência' : 'principal'}.`);
+      use(endpoint, { probePrimary: false });
+      resetSankhyaSession(urlOf(endpoint));
+    },
+
+    describe() {
+      return {
+        url,
+        contingencyUrl,
+        endpoint: active,
+        activeUrl: urlOf(active),
+        jobs: [...jobs],
+        primaryFailures,
+        probing: !!probeTimer,
+        probeSuccesses,
+        lastProbeAt,
+        lastProbeError,
+      };
+    },
+  };
+}
+
+/**
+ * Retorna o seletor de URL de um destino do Sankhya (o mesmo para todos os jobs do destino).
+ * @param {{ url: string, contingencyUrl?: string }} target - Sankhya de destino
+ */
+export function getSankhyaEndpoint(target) {
+  let selector = selectors.get(target.url);
+  if (!selector) {
+    selector = createEndpointSelector(target);
+    selectors.set(target.url, selector);
+  }
+  return selector;
+}
+
+/**
+ * Estado da seleção de URL de cada destino (exposto em /status).
+ */
+export function listSankhyaEndpoints() {
+  return [...selectors.values()].map((selector) => selector.describe());
+}
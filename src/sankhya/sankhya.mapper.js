@@ -1,21 +1,27 @@
 import { parseAtualcargoDate, parseSitraxDate } from '../utils/dateTime.js'; // CAMINHO CORRIGIDO
 import logger from '../utils/logger.js'; // CAMINHO CORRIGIDO
+import { positionsFetched, positionsMapped, positionsDiscarded } from '../utils/metrics.js';
 
 /**
  * Mapeia os dados da Atualcargo para o formato padrão do hub.
+ * @param {Array<Object>} positions - Posições brutas da API
+ * @param {string} [source] - Nome da instância do conector (label `source` das métricas)
  */
-export function mapAtualcargoToStandard(positions) {
+export function mapAtualcargoToStandard(positions, source = 'Atualcargo') {
   const standardPositions = [];
   
   for (const pos of positions) {
+    const isIsca = !!pos.plate?.startsWith('ISCA');
+    const labels = { source, type: isIsca ? 'isca' : 'vehicle' };
+    positionsFetched.inc(labels);
+
     const date = parseAtualcargoDate(pos.date);
     if (!pos.plate || !date || !pos.latlong) {
       logger.warn(`[AtualcargoMapper] Registro ignorado (dados/data inválida): ${pos.plate}`);
+      positionsDiscarded.inc(labels);
       continue;
     }
 
-    const isIsca = pos.plate.startsWith('ISCA');
-    
     standardPositions.push({
       type: isIsca ? 'isca' : 'vehicle',
       identifier: isIsca ? pos.plate.replace('ISCA', '') : pos.plate,
@@ -27,6 +33,7 @@ export function mapAtualcargoToStandard(positions) {
       ignition: pos.ignition === 'ON' ? 'S' : 'N',
       location: pos.proximity || pos.address?.street || 'Localização não informada',
     });
+    positionsMapped.inc(labels);
   }
   
   logger.info(`[AtualcargoMapper] Mapeadas ${standardPositions.length} posições.`);
@@ -36,17 +43,24 @@ export function mapAtualcargoToStandard(positions) {
 
 /**
  * Mapeia os dados do Sitrax para o formato padrão do hub.
+ * @param {Array<Object>} positions - Posições brutas da API
+ * @param {string} [source] - Nome da instância do conector (label `source` das métricas)
  */
-export function mapSitraxToStandard(positions) {
+export function mapSitraxToStandard(positions, source = 'Sitrax') {
   const standardPositions = [];
 
+  const labels = { source, type: 'isca' };
+
   for (const pos of positions) {
+    positionsFetched.inc(labels);
+
     // DATHOR é para o campo llpoDataStatus
     const date = parseSitraxDate(pos.llpoDataStatus);
     
     // Validação
     if (!pos.cveiPlaca || !date || pos.llpoLatitude === undefined || pos.llpoLongitude === undefined) {
       logger.warn(`[SitraxMapper] Registro ignorado (dados/data inválida): ${pos.cveiPlaca}`);
+      positionsDiscarded.inc(labels);
       continue;
     }
     
@@ -64,6 +78,7 @@ export function mapSitraxToStandard(positions) {
       ignition: pos.llpoIgn === 'S' ? 'S' : 'N',
       location: location,
     });
+    positionsMapped.inc(labels);
   }
   
   logger.info(`[SitraxMapper] Mapeadas ${standardPositions.length} posições.`);
@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+import { appConfig } from '../config/index.js';
+import { isNewer } from '../utils/dateTime.js';
+import { chunk } from '../utils/batch.js';
+import * as sankhyaApi from './sankhya.api.js';
+
+const logger = createLogger('SankhyaPreview');
+
+/**
+ * Modos dry-run e shadow: o lote passa pelas mesmas consultas ao Sankhya
+ * (cadastros e último histórico) e pela mesma deduplicação da carga real, mas os
+ * payloads do DatasetSP.save são gravados em arquivo (ou stdout) em vez de enviados.
+ *
+ * As consultas vão direto ao Sankhya de destino, sem os caches de cadastro, as marcas
+ * d'água e o ledger locais, que refletem apenas o que a carga real já gravou.
+ */
+
+// Chave de comparação entre destinos: usa o identificador do rastreador (placa / número
+// da isca), pois CODVEICULO e SEQUENCIA podem diferir entre ambientes do Sankhya
+export const previewKey = (record) => `${record.type}:${record.identifier}:${record.date.getTime()}`;
+
+// Quantidade máxima de chaves divergentes listadas no resumo do ciclo
+const DIFF_SAMPLE_SIZE = 10;
+
+/**
+ * Resolve os registros que seriam inseridos no Sankhya de destino.
+ * @param {Array<Object>} standardPositions - Posições no formato padrão
+ * @param {string} sourceName - Nome da fonte (ex: 'Atualcargo')
+ * @param {string} sankhyaUrl - URL do Sankhya de destino
+ * @param {string} iscaFabricanteId - O ID do fabricante das iscas
+ * @returns {Promise<{ records: { vehicle: Array, isca: Array }, payloads: Array<Object>,
+ *   unregistered: { vehicle: number, isca: number }, alreadyStored: number }>}
+ */
+export async function previewPositions(standardPositions, sourceName, sankhyaUrl, iscaFabricanteId) {
+  const vehicles = standardPositions.filter((p) => p.type === 'vehicle');
+  const iscas = standardPositions.filter((p) => p.type === 'isca');
+
+  const [vehicleRows, iscaRows] = await Promise.all([
+    sankhyaApi.getVehiclesByPlate([...new Set(vehicles.map((v) => v.identifier))], sankhyaUrl),
+    sankhyaApi.getIscasByNum([...new Set(iscas.map((i) => i.identifier))], iscaFabricanteId, sankhyaUrl),
+  ]);
+  const vehicleMap = new Map(vehicleRows.map((v) => [v.PLACA, v.CODVEICULO]));
+  const iscaMap = new Map(iscaRows.map((i) => [i.NUMISCA, i.SEQUENCIA]));
+
+  const [lastVehicleRows, lastIscaRows] = await Promise.all([
+    sankhyaApi.getLastVehicleHistory([...new Set(vehicleMap.values())], sankhyaUrl),
+    sankhyaApi.getLastIscaHistory([...new Set(iscaMap.values())], sankhyaUrl),
+  ]);
+  const lastVehicleHistory = new Map(lastVehicleRows.map((row) => [String(row.CODVEICULO), row.DATHOR]));
+  const lastIscaHistory = new Map(lastIscaRows.map((row) => [String(row.SEQUENCIA), row.DATHOR]));
+
+  const unregistered = { vehicle: 0, isca: 0 };
+  const records = { vehicle: [], isca: [] };
+  const seen = new Set();
+  let alreadyStored = 0;
+
+  for (const position of standardPositions) {
+    const isVehicle = position.type === 'vehicle';
+    const code = (isVehicle ? vehicleMap : iscaMap).get(position.identifier);
+    if (!code) {
+      unregistered[position.type]++;
+      continue;
+    }
+    const key = previewKey(position);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const lastDathor = (isVehicle ? lastVehicleHistory : lastIscaHistory).get(String(code));
+    if (!isNewer(position.date, lastDathor)) {
+      alreadyStored++;
+      continue;
+    }
+    records[position.type].push(isVehicle ? { ...position, codveiculo: code } : { ...position, sequencia: code });
+  }
+
+  const { sankhyaInsertChunkSize } = appConfig;
+  const payloads = [
+    ...chunk(records.vehicle, sankhyaInsertChunkSize).map(sankhyaApi.buildVehicleHistoryPayload),
+    ...chunk(records.isca, sankhyaInsertChunkSize).map(sankhyaApi.buildIscaHistoryPayload),
+  ];
+
+  logger.debug(`[${sourceName}] Prévia em ${sankhyaUrl}: ${records.vehicle.length} veículos e ${records.isca.length} iscas.`);
+  return { records, payloads, unregistered, alreadyStored };
+}
+
+/**
+ * Compara as chaves gravadas pela carga real com as que o shadow gravaria.
+ * @param {Array<string>} realKeys - Chaves `${type}:${identifier}:${data}` inseridas pela carga real
+ * @param {{ vehicle: Array, isca: Array }} shadowRecords - Registros da prévia do shadow
+ */
+export function diffRecords(realKeys, shadowRecords) {
+  const real = new Set(realKeys);
+  const shadow = new Set([...shadowRecords.vehicle, ...shadowRecords.isca].map(previewKey));
+  const onlyReal = [...real].filter((key) => !shadow.has(key));
+  const onlyShadow = [...shadow].filter((key) => !real.has(key));
+
+  return {
+    real: real.size,
+    shadow: shadow.size,
+    onlyReal: onlyReal.length,
+    onlyShadow: onlyShadow.length,
+    sample: {
+      onlyReal: onlyReal.slice(0, DIFF_SAMPLE_SIZE),
+      onlyShadow: onlyShadow.slice(0, DIFF_SAMPLE_SIZE),
+    },
+  };
+}
+
+/**
+ * Cria o destino dos payloads: 'stdout' ou arquivo JSONL (uma linha por payload/resumo).
+ * @param {string} output - 'stdout' ou caminho do arquivo
+ */
+export function createPayloadWriter(output) {
+  const toStdout = output === 'stdout';
+  const filePath = toStdout ? null : path.resolve(output);
+  if (filePath) fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  function writeLine(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    if (toStdout) {
+      process.stdout.write(line);
+    } else {
+      fs.appendFileSync(filePath, line);
+    }
+  }
+
+  return {
+    target: toStdout ? 'stdout' : filePath,
+
+    /**
+     * Grava os payloads e o resumo de um ciclo.
+     * @param {Object} meta - { mode, job, sankhyaUrl }
+     * @param {Array<Object>} payloads - Chamadas DatasetSP.save que seriam enviadas
+     * @param {Object} summary - Resumo do ciclo
+     */
+    writeCycle({ mode, job, sankhyaUrl }, payloads, summary) {
+      const at = new Date().toISOString();
+      payloads.forEach((payload) => writeLine({ kind: 'payload', at, mode, job, sankhyaUrl, ...payload }));
+      writeLine({ kind: 'summary', at, mode, job, sankhyaUrl, ...summary });
+    },
+  };
+}
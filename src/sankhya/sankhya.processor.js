@@ -1,13 +1,140 @@
 import { createLogger } from '../utils/logger.js'; // CAMINHO CORRIGIDO
 import * as sankhyaApi from './sankhya.api.js';
-import { isNewer } from '../utils/dateTime.js';
-import { appConfig } from '../config/app.js';
+import { resolveVehicleCodes, resolveIscaSequences } from './sankhya.registrations.js';
+import { getLastDates, advanceWatermarks } from './sankhya.watermarks.js';
+import { trackUnregistered, forgetRegistered } from './sankhya.unregistered.js';
+import { isNewer, parseSankhyaQueryDate } from '../utils/dateTime.js';
+import { appConfig } from '../config/index.js';
+import { positionsUnregistered, positionsInserted } from '../utils/metrics.js';
+import { chunk, settleWithConcurrency } from '../utils/batch.js';
+import { createDeliveryLedger } from '../storage/delivery.ledger.js';
+import { isTransientError } from '../utils/errors.js';
+import { previewKey } from './sankhya.preview.js';
 
 const logger = createLogger('SankhyaProcessor');
 
-const { sankhyaRetryLimit, sankhyaRetryDelay } = appConfig;
+// Ledger de entregas compartilhado por todos os jobs
+const ledger = createDeliveryLedger('deliveries', {
+  dir: appConfig.dataDir,
+  retentionMs: appConfig.ledgerRetentionMs,
+});
 
-const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const HISTORY_LOOKUP = {
+  vehicle: sankhyaApi.findVehicleHistoryBetween,
+  isca: sankhyaApi.findIscaHistoryBetween,
+};
+
+// CODVEICULO (veículo) ou SEQUENCIA (isca) de um registro
+const deviceCode = (type, record) => (type === 'vehicle' ? record.codveiculo : record.sequencia);
+
+/**
+ * Chave de idempotência determinística de um registro (fonte, dispositivo, data).
+ */
+export function deliveryKey(sourceName, type, record) {
+  return `${sourceName}:${type}:${deviceCode(type, record)}:${record.date.getTime()}`;
+}
+
+/**
+ * Verifica no Sankhya quais dos registros já foram gravados.
+ * @returns {Promise<Set<string>>} Chaves de idempotência encontradas no Sankhya
+ */
+async function findStored(type, records, sankhyaUrl) {
+  const codes = [...new Set(records.map((r) => deviceCode(type, r)))];
+  const times = records.map((r) => r.date.getTime());
+  const rows = await HISTORY_LOOKUP[type](codes, new Date(Math.min(...times)), new Date(Math.max(...times)), sankhyaUrl);
+
+  const stored = new Set(rows.map((row) => {
+    const code = type === 'vehicle' ? row.CODVEICULO : row.SEQUENCIA;
+    return `${code}:${parseSankhyaQueryDate(row.DATHOR)?.getTime()}`;
+  }));
+
+  return new Set(records
+    .filter((r) => stored.has(`${deviceCode(type, r)}:${r.date.getTime()}`))
+    .map((r) => r.deliveryKey));
+}
+
+/**
+ * Remove registros já entregues (ledger) e duplicados no lote.
+ * Registros com envio anterior sem confirmação são reconciliados com o Sankhya antes de reenviar.
+ * @returns {Promise<{ records: Array<Object>, landed: Array<Object> }>} Registros a inserir e
+ *   registros que a reconciliação encontrou no Sankhya
+ */
+async function filterUndelivered(type, records, sourceName, sankhyaUrl) {
+  const seen = new Set();
+  const pending = [];
+  const result = [];
+
+  for (const record of records) {
+    record.deliveryKey = deliveryKey(sourceName, type, record);
+    if (seen.has(record.deliveryKey)) continue;
+    seen.add(record.deliveryKey);
+
+    const state = ledger.status(record.deliveryKey);
+    if (state === 'delivered') {
+      logger.debug(`[${sourceName}] Registro ${record.deliveryKey} já entregue. Ignorado.`);
+      continue;
+    }
+    if (state === 'pending') pending.push(record);
+    result.push(record);
+  }
+
+  if (pending.length === 0) return { records: result, landed: [] };
+
+  logger.info(`[${sourceName}] Reconciliando ${pending.length} registros (${type}) enviados sem confirmação...`);
+  const landed = await findStored(type, pending, sankhyaUrl);
+  if (landed.size > 0) {
+    logger.warn(`[${sourceName}] ${landed.size} registros (${type}) já estavam no Sankhya. Não serão reenviados.`);
+    ledger.markDelivered([...landed]);
+  }
+  return {
+    records: result.filter((r) => !landed.has(r.deliveryKey)),
+    landed: pending.filter((r) => landed.has(r.deliveryKey)),
+  };
+}
+
+/**
+ * Avança as marcas d'água com os registros confirmados no Sankhya.
+ * A marca de um dispositivo não passa do registro mais antigo que falhou: o job mantém
+ * as posições com falha para nova tentativa, e uma marca à frente delas faria o filtro
+ * de registros novos descartá-las na próxima execução.
+ * @param {Array<Object>} confirmed - Registros inseridos ou encontrados no Sankhya
+ * @param {Array<Object>} failed - Registros dos lotes que falharam
+ * @param {Object} [options] - Repassadas a advanceWatermarks
+ */
+function advanceConfirmed(confirmed, failed, sankhyaUrl, options) {
+  const oldestFailure = new Map();
+  for (const record of failed) {
+    const key = `${record.type}:${deviceCode(record.type, record)}`;
+    const time = record.date.getTime();
+    if (!oldestFailure.has(key) || time < oldestFailure.get(key)) oldestFailure.set(key, time);
+  }
+
+  for (const type of ['vehicle', 'isca']) {
+    const entries = confirmed
+      .filter((r) => r.type === type)
+      .filter((r) => {
+        const limit = oldestFailure.get(`${type}:${deviceCode(type, r)}`);
+        return limit === undefined || r.date.getTime() < limit;
+      })
+      .map((r) => [deviceCode(type, r), r.date]);
+    if (entries.length > 0) advanceWatermarks(type, entries, sankhyaUrl, options);
+  }
+}
+
+/**
+ * Posições históricas: remove os registros que já estão no histórico do Sankhya.
+ * As marcas d'água não servem aqui, pois essas posições são anteriores à última
+ * posição gravada pela carga normal.
+ */
+async function excludeStored(type, records, sourceName, sankhyaUrl) {
+  if (records.length === 0) return records;
+  const stored = await findStored(type, records, sankhyaUrl);
+  if (stored.size > 0) {
+    logger.info(`[${sourceName}] ${stored.size} registros (${type}) já estavam no Sankhya. Ignorados.`);
+    ledger.markDelivered([...stored]);
+  }
+  return records.filter((r) => !stored.has(r.deliveryKey));
+}
 
 /**
  * Processa um lote de dados de veículos e iscas no Sankhya.
@@ -15,8 +142,17 @@ const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
  * @param {string} sourceName - Nome da fonte (ex: 'Atualcargo')
  * @param {string} sankhyaUrl - A URL (principal/contingência) a ser usada
  * @param {string} iscaFabricanteId - O ID do fabricante para este lote de iscas
+ * @param {Object} [options]
+ * @param {boolean} [options.historical] - Posições históricas (ex: reprocessamento da
+ *   dead-letter): deduplica pelo histórico do Sankhya no intervalo do lote em vez das marcas d'água
+ * @returns {Promise<{ inserted: number, skipped: number, unregistered: number,
+ *   insertedKeys: Array<string>, failedPositions: Array<Object>, failedBatches: Array<Object> }>}
+ *   Contagem de registros inseridos, ignorados e sem cadastro (incluídos nos ignorados),
+ *   as chaves dos inseridos (comparação com o shadow), as posições dos lotes que
+ *   falharam e os lotes com falha ({ type, positions, error }). Lança o erro se nenhum
+ *   lote for gravado e todas as falhas forem transitórias.
  */
-export async function processPositions(standardPositions, sourceName, sankhyaUrl, iscaFabricanteId) {
+export async function processPositions(standardPositions, sourceName, sankhyaUrl, iscaFabricanteId, { historical = false } = {}) {
   
   // 1. Separa veículos de iscas
   const vehicles = standardPositions.filter(p => p.type === 'vehicle');
@@ -24,40 +160,39 @@ export async function processPositions(standardPositions, sourceName, sankhyaUrl
   
   logger.info(`[${sourceName}] Processando ${vehicles.length} veículos e ${iscas.length} iscas no Sankhya em ${sankhyaUrl}`);
 
-  // 2. Obter dados de mapeamento e históricos do Sankhya
+  // 2. Obter dados de mapeamento (cache de cadastros)
   const vehiclePlates = vehicles.map((v) => v.identifier);
   const iscaNumbers = iscas.map((i) => i.identifier);
 
-  const [
-    vehicleMappingResult,
-    iscaMappingResult,
-    vehicleHistoryResult,
-    iscaHistoryResult,
-  ] = await Promise.all([
-    sankhyaApi.getVehiclesByPlate(vehiclePlates, sankhyaUrl),
-    sankhyaApi.getIscasByNum(iscaNumbers, iscaFabricanteId, sankhyaUrl),
-    sankhyaApi.getLastVehicleHistory(sankhyaUrl),
-    sankhyaApi.getLastIscaHistory(sankhyaUrl),
+  const [vehicleMap, iscaMap] = await Promise.all([
+    resolveVehicleCodes(vehiclePlates, sankhyaUrl),
+    resolveIscaSequences(iscaNumbers, iscaFabricanteId, sankhyaUrl),
   ]);
 
-  const vehicleMap = new Map(vehicleMappingResult.map((v) => [v.PLACA, v.CODVEICULO]));
-  const iscaMap = new Map(iscaMappingResult.map((i) => [i.NUMISCA, i.SEQUENCIA]));
-  const lastVehicleHistory = new Map(vehicleHistoryResult.map((h) => [h.CODVEICULO, h.DATHOR]));
-  const lastIscaHistory = new Map(iscaHistoryResult.map((h) => [h.SEQUENCIA, h.DATHOR]));
+  // 2.1 Última posição gravada, apenas dos dispositivos do lote (marca d'água local)
+  const [lastVehicleHistory, lastIscaHistory] = historical
+    ? [new Map(), new Map()]
+    : await Promise.all([
+      getLastDates('vehicle', [...vehicleMap.values()], sankhyaUrl),
+      getLastDates('isca', [...iscaMap.values()], sankhyaUrl),
+    ]);
 
   logger.info(`[${sourceName}] ${vehicleMap.size} veículos e ${iscaMap.size} iscas mapeados.`);
 
   // 3. Filtrar registros novos (Veículos)
+  const unregistered = [];
   const newVehicleRecords = [];
   for (const vehicle of vehicles) {
     const codveiculo = vehicleMap.get(vehicle.identifier);
     if (!codveiculo) {
       logger.debug(`[${sourceName}] Veículo ${vehicle.identifier} ignorado (não cadastrado no Sankhya).`);
+      positionsUnregistered.inc({ source: sourceName, type: 'vehicle' });
+      unregistered.push(vehicle);
       continue;
     }
-    const lastDathor = lastVehicleHistory.get(codveiculo);
+    const lastDathor = lastVehicleHistory.get(String(codveiculo));
     if (isNewer(vehicle.date, lastDathor)) {
-      newVehicleRecords.push({ ...vehicle, codveiculo });
+      newVehicleRecords.push({ ...vehicle, codveiculo, original: vehicle });
     }
   }
 
@@ -67,22 +202,100 @@ export async function processPositions(standardPositions, sourceName, sankhyaUrl
     const sequencia = iscaMap.get(isca.identifier);
     if (!sequencia) {
       logger.debug(`[${sourceName}] Isca ${isca.identifier} ignorada (não cadastrada no Sankhya).`);
+      positionsUnregistered.inc({ source: sourceName, type: 'isca' });
+      unregistered.push(isca);
       continue;
     }
-    const lastDathor = lastIscaHistory.get(isca.identifier);
+    const lastDathor = lastIscaHistory.get(String(sequencia));
     if (isNewer(isca.date, lastDathor)) {
-      newIscaRecords.push({ ...isca, sequencia });
+      newIscaRecords.push({ ...isca, sequencia, original: isca });
     }
   }
   
-  logger.info(`[${sourceName}] ${newVehicleRecords.length} novos veículos e ${newIscaRecords.length} novas iscas para inserir.`);
+  // 4.1 Relatório de dispositivos sem cadastro
+  forgetRegistered(sourceName, 'vehicle', vehicleMap.keys());
+  forgetRegistered(sourceName, 'isca', iscaMap.keys());
+  await trackUnregistered(sourceName, iscaFabricanteId, unregistered, sankhyaUrl);
 
-  // 5. Inserir no Sankhya
-  logger.info(`[${sourceName}] Iniciando inserção de dados no Sankhya...`);
-  await Promise.all([
-    sankhyaApi.insertVehicleHistory(newVehicleRecords, sankhyaUrl),
-    sankhyaApi.insertIscaHistory(newIscaRecords, sankhyaUrl),
-  ]);
+  // 4.2 Idempotência: ledger de entregas e reconciliação
+  const undeliveredVehicles = await filterUndelivered('vehicle', newVehicleRecords, sourceName, sankhyaUrl);
+  const undeliveredIscas = await filterUndelivered('isca', newIscaRecords, sourceName, sankhyaUrl);
+  let vehicleRecords = undeliveredVehicles.records;
+  let iscaRecords = undeliveredIscas.records;
+  const confirmed = [...undeliveredVehicles.landed, ...undeliveredIscas.landed];
+
+  if (historical) {
+    vehicleRecords = await excludeStored('vehicle', vehicleRecords, sourceName, sankhyaUrl);
+    iscaRecords = await excludeStored('isca', iscaRecords, sourceName, sankhyaUrl);
+  }
+  
+  logger.info(`[${sourceName}] ${vehicleRecords.length} novos veículos e ${iscaRecords.length} novas iscas para inserir.`);
+
+  // 5. Inserir no Sankhya (em lotes, com paralelismo limitado)
+  const { sankhyaInsertChunkSize, sankhyaChunkConcurrency } = appConfig;
+  const batches = [
+    ...chunk(vehicleRecords, sankhyaInsertChunkSize)
+      .map((records) => ({ type: 'vehicle', records, insert: sankhyaApi.insertVehicleHistory })),
+    ...chunk(iscaRecords, sankhyaInsertChunkSize)
+      .map((records) => ({ type: 'isca', records, insert: sankhyaApi.insertIscaHistory })),
+  ];
+
+  logger.info(`[${sourceName}] Iniciando inserção de dados no Sankhya (${batches.length} lotes)...`);
+  const results = await settleWithConcurrency(
+    batches,
+    sankhyaChunkConcurrency,
+    async (batch) => {
+      const keys = batch.records.map((r) => r.deliveryKey);
+      ledger.markPending(keys);
+      await batch.insert(batch.records, sankhyaUrl);
+      ledger.markDelivered(keys);
+    }
+  );
+
+  let inserted = 0;
+  const insertedKeys = [];
+  const failedPositions = [];
+  const failedBatches = [];
+  const failedRecords = [];
+  const errors = [];
+  results.forEach((result, index) => {
+    const { type, records } = batches[index];
+    if (result.status === 'fulfilled') {
+      inserted += records.length;
+      insertedKeys.push(...records.map(previewKey));
+      positionsInserted.inc({ source: sourceName, type }, records.length);
+      confirmed.push(...records);
+    } else {
+      logger.error(`[${sourceName}] Lote ${index + 1}/${batches.length} (${type}, ${records.length} registros) falhou: ${result.reason.message}`);
+      const positions = records.map((r) => r.original);
+      failedPositions.push(...positions);
+      failedBatches.push({ type, positions, error: result.reason });
+      failedRecords.push(...records);
+      errors.push(result.reason);
+    }
+  });
+
+  // Posições históricas não criam marcas para dispositivos sem marca (o seed consulta o Sankhya)
+  advanceConfirmed(confirmed, failedRecords, sankhyaUrl, { existingOnly: historical });
+
+  // Nenhum lote gravado por falha transitória: propaga o erro para a lógica de
+  // retentativa/contingência do job. Falhas não transitórias seguem para a dead-letter.
+  if (errors.length > 0 && errors.length === batches.length && errors.every(isTransientError)) {
+    throw errors[0];
+  }
+
+  if (errors.length > 0) {
+    logger.warn(`[${sourceName}] ${errors.length}/${batches.length} lotes falharam. ${failedPositions.length} posições mantidas para nova tentativa.`);
+  } else {
+    logger.info(`[${sourceName}] Processamento Sankhya concluído com sucesso.`);
+  }
 
-  logger.info(`[${sourceName}] Processamento Sankhya concluído com sucesso.`);
+  return {
+    inserted,
+    skipped: standardPositions.length - inserted - failedPositions.length,
+    unregistered: unregistered.length,
+    insertedKeys,
+    failedPositions,
+    failedBatches,
+  };
 }
\ No newline at end of file
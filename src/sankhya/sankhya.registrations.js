@@ -0,0 +1,124 @@
+import { createLogger } from '../utils/logger.js';
+import { appConfig } from '../config/index.js';
+import * as sankhyaApi from './sankhya.api.js';
+
+const logger = createLogger('SankhyaRegistrations');
+
+/**
+ * Cria um cache com TTL de cadastros (identificador -> chave no Sankhya).
+ * Identificadores ausentes ou expirados são consultados no Sankhya (refresh-on-miss).
+ * Identificadores não encontrados também são guardados, com TTL próprio (negativeTtlMs).
+ * As entradas são separadas por Sankhya de destino (ver sankhyaTargetOf).
+ * @param {string} name - Nome do cache (logs)
+ * @param {Function} fetch - async (keys, baseUrl) => Map(key -> valor)
+ */
+function createRegistrationCache(name, fetch) {
+  const entries = new Map(); // `${destino}|${key}` -> { value, expiresAt }
+
+  return {
+    /**
+     * Resolve os identificadores, consultando no Sankhya apenas os não cacheados.
+     * @returns {Promise<Map>} key -> valor (identificadores não cadastrados ficam fora do Map)
+     */
+    async resolve(keys, baseUrl) {
+      const now = Date.now();
+      const target = sankhyaApi.sankhyaTargetOf(baseUrl);
+      const entryKey = (key) => `${target}|${key}`;
+      const unique = [...new Set(keys)];
+      const misses = unique.filter((key) => !(entries.get(entryKey(key))?.expiresAt > now));
+
+      if (misses.length > 0) {
+        logger.debug(`[${name}] ${unique.length - misses.length} em cache, ${misses.length} consultados no Sankhya.`);
+        const found = await fetch(misses, baseUrl);
+        for (const key of misses) {
+          const value = found.get(key) ?? null;
+          const ttl = value === null ? appConfig.registrationNegativeTtlMs : appConfig.registrationTtlMs;
+          entries.set(entryKey(key), { value, expiresAt: now + ttl });
+        }
+      }
+
+      const result = new Map();
+      for (const key of unique) {
+        const value = entries.get(entryKey(key))?.value;
+        if (value !== null && value !== undefined) result.set(key, value);
+      }
+      return result;
+    },
+
+    invalidate() {
+      const count = entries.size;
+      entries.clear();
+      logger.info(`[${name}] Cache invalidado (${count} entradas removidas).`);
+      return count;
+    },
+
+    size() {
+      return entries.size;
+    },
+  };
+}
+
+// --- Caches compartilhados por todos os jobs ---
+
+const vehicleCache = createRegistrationCache('TGFVEI', async (plates, baseUrl) => {
+  const rows = await sankhyaApi.getVehiclesByPlate(plates, baseUrl);
+  return new Map(rows.map((v) => [v.PLACA, v.CODVEICULO]));
+});
+
+const iscaCaches = new Map(); // fabricanteId -> cache
+
+function getIscaCache(fabricanteId) {
+  if (!iscaCaches.has(fabricanteId)) {
+    iscaCaches.set(fabricanteId, createRegistrationCache(`AD_CADISCA:${fabricanteId}`, async (numbers, baseUrl) => {
+      const rows = await sankhyaApi.getIscasByNum(numbers, fabricanteId, baseUrl);
+      return new Map(rows.map((i) => [i.NUMISCA, i.SEQUENCIA]));
+    }));
+  }
+  return iscaCaches.get(fabricanteId);
+}
+
+/**
+ * Resolve placas -> CODVEICULO (TGFVEI).
+ * @param {Array<string>} plates - Placas
+ * @param {string} baseUrl - URL do Sankhya
+ * @returns {Promise<Map<string, number>>}
+ */
+export function resolveVehicleCodes(plates, baseUrl) {
+  return vehicleCache.resolve(plates, baseUrl);
+}
+
+/**
+ * Resolve números de isca -> SEQUENCIA (AD_CADISCA) de um fabricante.
+ * @param {Array<string>} numbers - Números das iscas
+ * @param {string} fabricanteId - ID do fabricante
+ * @param {string} baseUrl - URL do Sankhya
+ * @returns {Promise<Map<string, number>>}
+ */
+export function resolveIscaSequences(numbers, fabricanteId, baseUrl) {
+  return getIscaCache(String(fabricanteId)).resolve(numbers, baseUrl);
+}
+
+/**
+ * Invalida os cadastros em cache (hook da API admin).
+ * @param {string} type - 'vehicle', 'isca' ou 'all'
+ * @returns {number} Quantidade de entradas removidas
+ */
+export function invalidateRegistrations(type = 'all') {
+  let removed = 0;
+  if (type === 'vehicle' || type === 'all') {
+    removed += vehicleCache.invalidate();
+  }
+  if (type === 'isca' || type === 'all') {
+    iscaCaches.forEach((cache) => { removed += cache.invalidate(); });
+  }
+  return removed;
+}
+
+/**
+ * Quantidade de entradas em cache, por tipo.
+ */
+export function getRegistrationCacheStats() {
+  let iscas = 0;
+  iscaCaches.forEach((cache) => { iscas += cache.size(); });
+  return { vehicles: vehicleCache.size(), iscas };
+}
@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+import { appConfig } from '../config/index.js';
+import { createStateStore } from '../storage/state.store.js';
+import * as sankhyaApi from './sankhya.api.js';
+
+const logger = createLogger('SankhyaUnregistered');
+
+/**
+ * Dispositivos recebidos dos rastreadores e não cadastrados no Sankhya
+ * (TGFVEI / AD_CADISCA ativo), por fonte.
+ * Chave: `${source}:${type}:${identifier}`. A entrada é removida quando o cadastro aparece.
+ */
+const store = createStateStore('unregistered', { dir: appConfig.dataDir });
+const devices = store.get('devices', {});
+
+const REPORT_FILE = path.resolve(appConfig.dataDir, 'unregistered-report.json');
+
+const entryKey = (source, type, identifier) => `${source}:${type}:${identifier}`;
+
+/**
+ * Cria cadastros inativos em AD_CADISCA para as iscas ainda não solicitadas.
+ * Iscas que já possuem cadastro (ativo ou não) no fabricante não são duplicadas.
+ */
+async function requestIscaRegistrations(entries, fabricanteId, baseUrl) {
+  const pending = entries.filter((e) => e.type === 'isca' && !e.registrationRequestedAt);
+  if (pending.length === 0) return;
+
+  const numbers = pending.map((e) => e.identifier);
+  const existing = new Set(
+    (await sankhyaApi.findIscaRegistrations(numbers, fabricanteId, baseUrl)).map((row) => String(row.NUMISCA))
+  );
+  const toCreate = numbers.filter((n) => !existing.has(n));
+
+  await sankhyaApi.insertInactiveIscas(toCreate, fabricanteId, baseUrl);
+  if (toCreate.length > 0) {
+    logger.info(`${toCreate.length} iscas cadastradas como inativas em AD_CADISCA (Fabr: ${fabricanteId}), aguardando aprovação.`);
+  }
+
+  const now = new Date().toISOString();
+  pending.forEach((e) => { e.registrationRequestedAt = now; });
+}
+
+/**
+ * Registra as posições de dispositivos não cadastrados.
+ * @param {string} source - Nome da fonte (ex: 'Atualcargo')
+ * @param {string} fabricanteId - Fabricante das iscas da fonte
+ * @param {Array<Object>} positions - Posições (formato padrão) sem cadastro
+ * @param {string} baseUrl - URL do Sankhya (cadastro automático)
+ */
+export async function trackUnregistered(source, fabricanteId, positions, baseUrl) {
+  if (positions.length === 0) return;
+
+  const now = new Date().toISOString();
+  const touched = new Map();
+
+  for (const position of positions) {
+    const key = entryKey(source, position.type, position.identifier);
+    const entry = devices[key] ||= {
+      source,
+      type: position.type,
+      identifier: position.identifier,
+      fabricanteId,
+      firstSeen: now,
+      positions: 0,
+    };
+
+    entry.lastSeen = now;
+    entry.positions++;
+    if (!entry.lastPosition || position.date.getTime() > new Date(entry.lastPosition.date).getTime()) {
+      entry.lastPosition = {
+        date: position.date.toISOString(),
+        lat: position.lat,
+        lon: position.lon,
+        location: position.location,
+      };
+    }
+    touched.set(key, entry);
+  }
+
+  if (appConfig.unregisteredAutoRegister && fabricanteId) {
+    try {
+      await requestIscaRegistrations([...touched.values()], fabricanteId, baseUrl);
+    } catch (error) {
+      logger.error(`[${source}] Falha no cadastro automático de iscas: ${error.message}`);
+    }
+  }
+
+  store.set('devices', devices);
+}
+
+/**
+ * Remove do relatório os dispositivos que passaram a ter cadastro.
+ * @param {string} source - Nome da fonte
+ * @param {string} type - 'vehicle' ou 'isca'
+ * @param {Iterable<string>} identifiers - Placas ou números de isca cadastrados
+ */
+export function forgetRegistered(source, type, identifiers) {
+  let removed = 0;
+  for (const identifier of identifiers) {
+    const key = entryKey(source, type, identifier);
+    if (!(key in devices)) continue;
+    delete devices[key];
+    removed++;
+  }
+  if (removed === 0) return;
+  logger.info(`[${source}] ${removed} dispositivos (${type}) passaram a ter cadastro no Sankhya.`);
+  store.set('devices', devices);
+}
+
+/**
+ * Dispositivos não cadastrados, do visto mais recentemente ao mais antigo.
+ * @param {string} [source] - Filtra por fonte
+ */
+export function listUnregistered(source) {
+  return Object.values(devices)
+    .filter((e) => !source || e.source === source)
+    .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+}
+
+/**
+ * Gera o relatório: resumo por fonte no log e lista completa em arquivo.
+ */
+export function writeUnregisteredReport() {
+  const entries = listUnregistered();
+  const summary = {};
+  for (const { source, type } of entries) {
+    summary[source] ||= { vehicle: 0, isca: 0 };
+    summary[source][type]++;
+  }
+
+  fs.writeFileSync(REPORT_FILE, JSON.stringify({ generatedAt: new Date().toISOString(), summary, devices: entries }, null, 2));
+
+  if (entries.length === 0) {
+    logger.info('Relatório: nenhum dispositivo sem cadastro.');
+    return;
+  }
+  Object.entries(summary).forEach(([source, counts]) => {
+    logger.warn(`Relatório: [${source}] ${counts.vehicle} veículos e ${counts.isca} iscas sem cadastro no Sankhya.`);
+  });
+  logger.info(`Relatório completo em ${REPORT_FILE}.`);
+}
+
+/**
+ * Agenda a geração periódica do relatório.
+ */
+export function startUnregisteredReport() {
+  const timer = setInterval(writeUnregisteredReport, appConfig.unregisteredReportMs);
+  timer.unref();
+  logger.info(`Relatório de dispositivos sem cadastro a cada ${appConfig.unregisteredReportMs / 60000} min.`);
+}
@@ -0,0 +1,103 @@
+import { createLogger } from '../utils/logger.js';
+import { appConfig } from '../config/index.js';
+import { parseSankhyaQueryDate } from '../utils/dateTime.js';
+import { createStateStore } from '../storage/state.store.js';
+import * as sankhyaApi from './sankhya.api.js';
+
+const logger = createLogger('SankhyaWatermarks');
+
+/**
+ * Marca d'água (data da última posição gravada) por veículo e por isca.
+ * Cada CODVEICULO/SEQUENCIA é consultado no Sankhya uma única vez (seed)
+ * e depois atualizado localmente após cada inserção bem-sucedida.
+ * Valor 0 indica que o dispositivo não tinha histórico no seed.
+ * Conectores com outro Sankhya de destino têm as chaves prefixadas pela URL principal
+ * do destino (CODVEICULO/SEQUENCIA se repetem entre bases de dados diferentes).
+ */
+const store = createStateStore('watermarks', { dir: appConfig.dataDir });
+
+const SOURCES = {
+  vehicle: { table: 'AD_LOCATCAR', key: 'CODVEICULO', fetch: sankhyaApi.getLastVehicleHistory },
+  isca: { table: 'AD_LOCATISC', key: 'SEQUENCIA', fetch: sankhyaApi.getLastIscaHistory },
+};
+
+const marks = {
+  vehicle: store.get('vehicle', {}),
+  isca: store.get('isca', {}),
+};
+
+const markKey = (baseUrl, code) => sankhyaApi.targetScopedKey(baseUrl, code);
+
+/**
+ * Retorna a data da última posição gravada de cada dispositivo.
+ * Apenas dispositivos nunca vistos são consultados no Sankhya.
+ * @param {string} type - 'vehicle' ou 'isca'
+ * @param {Array<number|string>} codes - CODVEICULO ou SEQUENCIA
+ * @param {string} baseUrl - URL do Sankhya
+ * @returns {Promise<Map<string, Date|null>>}
+ */
+export async function getLastDates(type, codes, baseUrl) {
+  const source = SOURCES[type];
+  const typeMarks = marks[type];
+  const unique = [...new Set(codes.map(String))];
+  const unseeded = unique.filter((code) => !(markKey(baseUrl, code) in typeMarks));
+
+  if (unseeded.length > 0) {
+    logger.info(`Carregando último histórico de ${unseeded.length} dispositivos novos (${source.table})...`);
+    const rows = await source.fetch(unseeded, baseUrl);
+    const found = new Map(rows.map((row) => [String(row[source.key]), parseSankhyaQueryDate(row.DATHOR)]));
+
+    for (const code of unseeded) {
+      typeMarks[markKey(baseUrl, code)] = found.get(code)?.getTime() || 0;
+    }
+    store.set(type, typeMarks);
+  }
+
+  return new Map(unique.map((code) => {
+    const time = typeMarks[markKey(baseUrl, code)];
+    return [code, time ? new Date(time) : null];
+  }));
+}
+
+/**
+ * Avança as marcas d'água após uma inserção confirmada.
+ * @param {string} type - 'vehicle' ou 'isca'
+ * @param {Array<[number|string, Date]>} entries - Pares [código, data inserida]
+ * @param {string} baseUrl - URL do Sankhya em que os registros foram gravados
+ * @param {Object} [options]
+ * @param {boolean} [options.existingOnly] - Apenas avança marcas já existentes (posições históricas):
+ *   uma marca criada com uma data antiga impediria o seed pelo Sankhya
+ */
+export function advanceWatermarks(type, entries, baseUrl, { existingOnly = false } = {}) {
+  const typeMarks = marks[type];
+  let changed = false;
+
+  for (const [code, date] of entries) {
+    const key = markKey(baseUrl, code);
+    if (existingOnly && !(key in typeMarks)) continue;
+    const time = date?.getTime();
+    if (time && time > (typeMarks[key] || 0)) {
+      typeMarks[key] = time;
+      changed = true;
+    }
+  }
+
+  if (changed) store.set(type, typeMarks);
+}
+
+/**
+ * Descarta as marcas d'água, forçando novo seed pelo Sankhya (hook da API admin).
+ * @param {string} type - 'vehicle', 'isca' ou 'all'
+ * @returns {number} Quantidade de dispositivos removidos
+ */
+export function resetWatermarks(type = 'all') {
+  let removed = 0;
+  for (const key of Object.keys(SOURCES)) {
+    if (type !== 'all' && type !== key) continue;
+    removed += Object.keys(marks[key]).length;
+    marks[key] = {};
+    store.set(key, marks[key]);
+  }
+  logger.info(`Marcas d'água descartadas (${type}): ${removed} dispositivos.`);
+  return removed;
+}
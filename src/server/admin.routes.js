@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { getJob, listJobs } from '../jobs/job.registry.js';
+import { invalidateRegistrations, getRegistrationCacheStats } from '../sankhya/sankhya.registrations.js';
+import { resetWatermarks } from '../sankhya/sankhya.watermarks.js';
+import { listUnregistered } from '../sankhya/sankhya.unregistered.js';
+import { listDevicePresence } from '../devices/device.presence.js';
+import { listQuarantine, clearQuarantine } from '../validation/position.filter.js';
+import { registerRoute } from './http.server.js';
+
+const logger = createLogger('AdminAPI');
+
+const MIN_INTERVAL_MS = 10000;
+
+/**
+ * Compara o token do header Authorization (Bearer) com ADMIN_TOKEN.
+ */
+function isAuthorized(req) {
+  const header = req.headers.authorization || '';
+  const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(appConfig.adminToken);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Envolve um handler com autenticação por token.
+ */
+function withAdminAuth(handler) {
+  return (req, url) => {
+    if (!isAuthorized(req)) {
+      logger.warn(`Acesso negado a ${req.method} ${url.pathname}.`);
+      return { status: 401, body: { error: 'Não autorizado.' } };
+    }
+    return handler(req, url);
+  };
+}
+
+/**
+ * Registra uma rota admin que atua sobre um job (?job=Nome).
+ * A ação retorna o corpo da resposta; um campo `error` resulta em HTTP 400 (ou no
+ * `status` retornado junto com o erro).
+ */
+function registerJobAction(path, action) {
+  registerRoute('POST', path, withAdminAuth((req, url) => {
+    const name = url.searchParams.get('job');
+    const job = getJob(name);
+    if (!job) {
+      return { status: 404, body: { error: `Job [${name}] não encontrado.` } };
+    }
+    const result = action(job, url);
+    if (result.error) {
+      const { status = 400, ...body } = result;
+      return { status, body: { job: name, ...body } };
+    }
+    logger.info(`Ação ${path} executada no job [${name}].`);
+    return { body: { job: name, ...result } };
+  }));
+}
+
+/**
+ * Registra as rotas de controle dos jobs em tempo de execução.
+ * As rotas só são habilitadas se ADMIN_TOKEN estiver definido.
+ */
+export function registerAdminRoutes() {
+  if (!appConfig.adminToken) {
+    logger.info('ADMIN_TOKEN não definido. API admin desabilitada.');
+    return;
+  }
+
+  registerRoute('GET', '/admin/jobs', withAdminAuth(() => ({
+    body: listJobs().map(({ name, loop, state }) => ({
+      name,
+      running: loop.isRunning(),
+      sankhyaUrl: state.sankhyaUrl,
+      cacheSize: state.queue.size(),
+    })),
+  })));
+
+  registerJobAction('/admin/jobs/pause', ({ loop }) => {
+    loop.pause();
+    return { paused: true };
+  });
+
+  registerJobAction('/admin/jobs/resume', ({ loop }) => {
+    loop.resume();
+    return { paused: false };
+  });
+
+  registerJobAction('/admin/jobs/trigger', ({ loop }) => {
+    loop.trigger();
+    return { triggered: true };
+  });
+
+  registerJobAction('/admin/jobs/interval', ({ loop }, url) => {
+    const intervalMs = Number(url.searchParams.get('ms'));
+    if (!Number.isInteger(intervalMs) || intervalMs < MIN_INTERVAL_MS) {
+      return { error: `Parâmetro "ms" deve ser um inteiro >= ${MIN_INTERVAL_MS}.` };
+    }
+    const { cron } = loop.getSchedule();
+    if (cron) {
+      return { status: 409, error: `Job agendado por cron ("${cron}"): o intervalo não é usado. Altere JOB_CRON_* ou a instância na configuração.` };
+    }
+    loop.setInterval(intervalMs);
+    // Com janelas de horário, o intervalo vale apenas fora delas
+    return { intervalMs, schedule: loop.getSchedule() };
+  });
+
+  registerJobAction('/admin/jobs/clear-cache', ({ state }) => {
+    const cleared = state.queue.size();
+    state.clearCache();
+    return { cleared };
+  });
+
+  registerJobAction('/admin/jobs/sankhya-endpoint', ({ state }, url) => {
+    const endpoint = url.searchParams.get('target');
+    if (endpoint !== 'primary' && endpoint !== 'contingency') {
+      return { error: 'Parâmetro "target" deve ser "primary" ou "contingency".' };
+    }
+    try {
+      state.forceSankhyaEndpoint(endpoint);
+    } catch (error) {
+      return { error: error.message };
+    }
+    return { sankhyaUrl: state.sankhyaUrl };
+  });
+
+  registerRoute('GET', '/admin/sankhya/registrations', withAdminAuth(() => ({
+    body: getRegistrationCacheStats(),
+  })));
+
+  registerRoute('POST', '/admin/sankhya/registrations/invalidate', withAdminAuth((req, url) => {
+    const type = url.searchParams.get('type') || 'all';
+    if (!['vehicle', 'isca', 'all'].includes(type)) {
+      return { status: 400, body: { error: 'Parâmetro "type" deve ser "vehicle", "isca" ou "all".' } };
+    }
+    logger.info(`Invalidando cache de cadastros (${type}).`);
+    return { body: { type, removed: invalidateRegistrations(type) } };
+  }));
+
+  registerRoute('GET', '/admin/sankhya/unregistered', withAdminAuth((req, url) => ({
+    body: listUnregistered(url.searchParams.get('source')),
+  })));
+
+  registerRoute('GET', '/admin/devices/presence', withAdminAuth((req, url) => ({
+    body: listDevicePresence({
+      type: url.searchParams.get('type'),
+      state: url.searchParams.get('state'),
+    }),
+  })));
+
+  registerRoute('GET', '/admin/quarantine', withAdminAuth((req, url) => ({
+    body: listQuarantine({
+      source: url.searchParams.get('source'),
+      limit: Number(url.searchParams.get('limit')) || 100,
+    }),
+  })));
+
+  registerRoute('POST', '/admin/quarantine/clear', withAdminAuth(() => {
+    logger.info('Esvaziando a quarentena de posições.');
+    return { body: { removed: clearQuarantine() } };
+  }));
+
+  registerRoute('POST', '/admin/sankhya/watermarks/reset', withAdminAuth((req, url) => {
+    const type = url.searchParams.get('type') || 'all';
+    if (!['vehicle', 'isca', 'all'].includes(type)) {
+      return { status: 400, body: { error: 'Parâmetro "type" deve ser "vehicle", "isca" ou "all".' } };
+    }
+    return { body: { type, removed: resetWatermarks(type) } };
+  }));
+
+  logger.info('API admin habilitada.');
+}
@@ -0,0 +1,50 @@
+import { appConfig } from '../config/index.js';
+import { listJobStatuses } from '../jobs/job.status.js';
+import { getSankhyaHealth } from '../sankhya/sankhya.api.js';
+import { listSankhyaEndpoints } from '../sankhya/sankhya.endpoints.js';
+import { listCircuitBreakers } from '../connectors/connector.resilience.js';
+import { listActiveAlerts } from '../notifications/notifier.js';
+import { registerRoute } from './http.server.js';
+
+const startedAt = new Date();
+
+/**
+ * Registra as rotas de saúde do hub: /health, /ready e /status.
+ */
+export function registerHealthRoutes() {
+  // Liveness: o processo está de pé e respondendo
+  registerRoute('GET', '/health', () => ({
+    body: { status: 'ok', uptimeSeconds: Math.round(process.uptime()) },
+  }));
+
+  // Readiness: Sankhya acessível e pelo menos um job com sucesso recente
+  registerRoute('GET', '/ready', () => {
+    const sankhya = getSankhyaHealth();
+    const limit = Date.now() - appConfig.readyMaxAgeMs;
+    const recentJobs = listJobStatuses()
+      .filter((job) => job.lastSuccessAt && job.lastSuccessAt.getTime() >= limit)
+      .map((job) => job.name);
+
+    const ready = sankhya.reachable && recentJobs.length > 0;
+    return {
+      status: ready ? 200 : 503,
+      body: {
+        ready,
+        sankhyaReachable: sankhya.reachable,
+        sankhyaLastError: sankhya.lastError,
+        jobsSucceededRecently: recentJobs,
+      },
+    };
+  });
+
+  registerRoute('GET', '/status', () => ({
+    body: {
+      startedAt,
+      sankhya: getSankhyaHealth(),
+      sankhyaEndpoints: listSankhyaEndpoints(),
+      connectorCircuits: listCircuitBreakers(),
+      jobs: listJobStatuses(),
+      alerts: listActiveAlerts(),
+    },
+  }));
+}
@@ -0,0 +1,60 @@
+import http from 'http';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('HttpServer');
+
+const routes = new Map(); // 'GET /health' -> handler
+
+/**
+ * Registra uma rota no servidor HTTP.
+ * O handler recebe (req, url) e retorna { status, body, contentType? }.
+ * Um body objeto é enviado como JSON; string é enviada como texto.
+ * @param {string} method - Método HTTP (ex: 'GET')
+ * @param {string} path - Caminho exato (ex: '/health')
+ * @param {Function} handler - Função (sync ou async) que trata a requisição
+ */
+export function registerRoute(method, path, handler) {
+  routes.set(`${method.toUpperCase()} ${path}`, handler);
+}
+
+function send(res, { status = 200, body = '', contentType }) {
+  const isText = typeof body === 'string';
+  res.writeHead(status, {
+    'Content-Type': contentType || (isText ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8'),
+  });
+  res.end(isText ? body : JSON.stringify(body));
+}
+
+/**
+ * Inicia o servidor HTTP embutido do hub.
+ * @param {number} port - Porta de escuta
+ * @returns {http.Server}
+ */
+export function startHttpServer(port) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const handler = routes.get(`${req.method} ${url.pathname}`);
+
+    if (!handler) {
+      send(res, { status: 404, body: { error: 'Rota não encontrada.' } });
+      return;
+    }
+
+    try {
+      send(res, await handler(req, url));
+    } catch (error) {
+      logger.error(`Erro ao tratar ${req.method} ${url.pathname}: ${error.message}`);
+      send(res, { status: 500, body: { error: error.message } });
+    }
+  });
+
+  server.on('error', (error) => {
+    logger.error(`Falha no servidor HTTP: ${error.message}`);
+  });
+
+  server.listen(port, () => {
+    logger.info(`Servidor HTTP escutando na porta ${port}.`);
+  });
+
+  return server;
+}
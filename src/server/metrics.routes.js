@@ -0,0 +1,12 @@
+import { registry } from '../utils/metrics.js';
+import { registerRoute } from './http.server.js';
+
+/**
+ * Registra a rota /metrics (formato texto do Prometheus).
+ */
+export function registerMetricsRoutes() {
+  registerRoute('GET', '/metrics', async () => ({
+    body: await registry.metrics(),
+    contentType: registry.contentType,
+  }));
+}
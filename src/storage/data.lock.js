@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+import { delay } from '../utils/dateTime.js';
+import { DataLockError } from '../utils/errors.js';
+
+const logger = createLogger('DataLock');
+
+// Intervalo entre as tentativas de quem aguarda a trava
+const WAIT_RETRY_MS = 5000;
+
+/**
+ * Trava de escrita única do diretório de dados.
+ *
+ * O hub e a CLI de reprocessamento da dead-letter gravam o mesmo estado
+ * (marcas d'água, ledger de entregas, filtro de sanidade) mantendo uma cópia em memória;
+ * dois processos gravando ao mesmo tempo perdem as alterações um do outro. Quem grava
+ * adquire a trava (arquivo `hub.lock` com o pid do dono), liberada na saída do processo.
+ * Uma trava de um processo que não existe mais é descartada.
+ */
+
+function isAlive(pid) {
+  if (pid === process.pid) return false; // Trava de uma execução anterior com o mesmo pid (ex: container)
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function readHolder(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function tryAcquire(filePath, owner) {
+  const holder = { pid: process.pid, owner, startedAt: new Date().toISOString() };
+  try {
+    fs.writeFileSync(filePath, JSON.stringify(holder), { flag: 'wx' });
+    return null;
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+  }
+
+  const current = readHolder(filePath);
+  if (current && isAlive(current.pid)) return current;
+
+  logger.warn(`Trava abandonada${current ? ` por ${current.owner} (pid ${current.pid})` : ''} descartada: ${filePath}.`);
+  fs.rmSync(filePath, { force: true });
+  return tryAcquire(filePath, owner);
+}
+
+/**
+ * Adquire a trava do diretório de dados.
+ * @param {string} owner - Quem grava (logs e mensagens de erro, ex: 'hub', 'deadletter replay')
+ * @param {Object} options
+ * @param {string} options.dir - Diretório de dados
+ * @param {boolean} [options.wait] - Aguarda a liberação em vez de lançar DataLockError
+ * @returns {Promise<{ release: Function }>}
+ */
+export async function acquireDataLock(owner, { dir, wait = false }) {
+  const filePath = path.resolve(dir, 'hub.lock');
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  let holder = tryAcquire(filePath, owner);
+  if (holder && wait) {
+    logger.warn(`${new DataLockError(filePath, holder).message} Aguardando a liberação...`);
+    while (holder) {
+      await delay(WAIT_RETRY_MS);
+      holder = tryAcquire(filePath, owner);
+    }
+  }
+  if (holder) throw new DataLockError(filePath, holder);
+
+  const release = () => {
+    if (readHolder(filePath)?.pid === process.pid) fs.rmSync(filePath, { force: true });
+    process.removeListener('exit', release);
+  };
+  process.on('exit', release);
+  logger.debug(`Trava do diretório de dados adquirida (${owner}): ${filePath}.`);
+  return { release };
+}
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from '../utils/logger.js';
+
+/**
+ * Cria o armazenamento de registros com falha não transitória (dead-letter).
+ *
+ * Cada entrada: { id, stage, source, connectorType, fabricanteId, payload,
+ *                 error, attempts, firstFailedAt, lastFailedAt }
+ * - stage 'map': payload é a posição bruta do fornecedor (falha no mapper)
+ * - stage 'load': payload é a posição no formato padrão (falha no Sankhya)
+ *
+ * O arquivo é relido a cada operação, pois o hub e a CLI de dead-letter
+ * podem alterá-lo em processos diferentes.
+ *
+ * @param {string} name - Nome do arquivo (sem extensão)
+ * @param {Object} options
+ * @param {string} options.dir - Diretório do arquivo
+ */
+export function createDeadLetterStore(name, { dir }) {
+  const logger = createLogger(`DeadLetter:${name}`);
+  const filePath = path.resolve(dir, `${name.toLowerCase().replace(/[^a-z0-9_-]/g, '_')}.json`);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  function read() {
+    if (!fs.existsSync(filePath)) return [];
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      logger.warn(`Arquivo ${filePath} inválido (${error.message}). Considerando vazio.`);
+      return [];
+    }
+  }
+
+  function write(entries) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(entries, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    filePath,
+
+    /**
+     * Adiciona registros com o erro que os levou à dead-letter.
+     * @param {Array<Object>} payloads - Posições (brutas ou padronizadas)
+     * @param {Object} meta - { stage, source, connectorType, fabricanteId, error, attempts }
+     * @returns {Array<Object>} Entradas criadas
+     */
+    add(payloads, { stage, source, connectorType, fabricanteId, error, attempts }) {
+      if (payloads.length === 0) return [];
+      const now = new Date().toISOString();
+      const created = payloads.map((payload) => ({
+        id: crypto.randomUUID().slice(0, 8),
+        stage,
+        source,
+        connectorType,
+        fabricanteId,
+        payload,
+        error: error.message,
+        attempts,
+        firstFailedAt: now,
+        lastFailedAt: now,
+      }));
+      write([...read(), ...created]);
+      logger.warn(`${created.length} registros (${source}, ${stage}) movidos para a dead-letter: ${error.message}`);
+      return created;
+    },
+
+    list() {
+      return read();
+    },
+
+    get(id) {
+      return read().find((entry) => entry.id === id) || null;
+    },
+
+    /**
+     * Altera uma entrada (ex: corrigir o payload ou registrar nova falha).
+     * @param {string} id - ID da entrada
+     * @param {Function} updater - (entry) => entrada alterada
+     * @returns {Object|null} A entrada alterada, ou null se não existir
+     */
+    update(id, updater) {
+      const entries = read();
+      const index = entries.findIndex((entry) => entry.id === id);
+      if (index === -1) return null;
+      entries[index] = updater(entries[index]);
+      write(entries);
+      return entries[index];
+    },
+
+    /**
+     * @param {Array<string>} ids - IDs das entradas a remover
+     * @returns {number} Quantidade removida
+     */
+    remove(ids) {
+      const entries = read();
+      const remaining = entries.filter((entry) => !ids.includes(entry.id));
+      write(remaining);
+      return entries.length - remaining.length;
+    },
+  };
+}
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+
+// Quantidade de operações no journal antes de reescrevê-lo sem as entradas expiradas
+const COMPACT_AFTER_OPS = 500;
+
+// Faixas de tempo da retenção: as chaves expiram em memória uma faixa por vez
+const RETENTION_BUCKETS = 24;
+
+/**
+ * Cria um registro persistente de entregas (ledger) indexado por chave de idempotência.
+ *
+ * Estados de uma chave:
+ * - 'pending': envio iniciado, sem confirmação (pode ou não ter sido gravado no destino)
+ * - 'delivered': gravação confirmada
+ *
+ * Cada linha do journal é uma operação JSON: { op: 'pending' | 'delivered', keys: [...], t }.
+ * As chaves são agrupadas em faixas de tempo (1/24 da retenção) e expiram em memória
+ * assim que a faixa inteira passa de `retentionMs`, independente do volume de operações.
+ * O journal é reescrito sem as entradas expiradas a cada COMPACT_AFTER_OPS operações.
+ * Carregar o ledger apenas lê o arquivo: processos que só consultam não alteram o journal.
+ *
+ * @param {string} name - Nome do ledger (arquivo)
+ * @param {Object} options
+ * @param {string} options.dir - Diretório do arquivo
+ * @param {number} options.retentionMs - Tempo de retenção das chaves
+ */
+export function createDeliveryLedger(name, { dir, retentionMs }) {
+  const logger = createLogger(`Ledger:${name}`);
+  const filePath = path.resolve(dir, `${name}.jsonl`);
+
+  const entries = new Map(); // key -> { state, t }
+  const buckets = new Map(); // início da faixa -> Set(keys)
+  const bucketMs = Math.max(1, Math.ceil(retentionMs / RETENTION_BUCKETS));
+  let opsSinceCompact = 0;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const bucketOf = (t) => t - (t % bucketMs);
+
+  function set(key, state, t) {
+    const previous = entries.get(key);
+    if (previous) buckets.get(bucketOf(previous.t))?.delete(key);
+
+    const start = bucketOf(t);
+    if (!buckets.has(start)) buckets.set(start, new Set());
+    buckets.get(start).add(key);
+    entries.set(key, { state, t });
+  }
+
+  // Descarta as faixas inteiramente mais antigas que a retenção (no máximo ~RETENTION_BUCKETS faixas)
+  function expire(now = Date.now()) {
+    for (const [start, keys] of buckets) {
+      if (start + bucketMs > now - retentionMs) continue;
+      keys.forEach((key) => entries.delete(key));
+      buckets.delete(start);
+    }
+  }
+
+  function compact() {
+    expire();
+
+    const lines = [];
+    for (const state of ['pending', 'delivered']) {
+      const byTime = new Map();
+      for (const [key, entry] of entries) {
+        if (entry.state !== state) continue;
+        if (!byTime.has(entry.t)) byTime.set(entry.t, []);
+        byTime.get(entry.t).push(key);
+      }
+      byTime.forEach((keys, t) => lines.push(JSON.stringify({ op: state, keys, t })));
+    }
+
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(tmpPath, filePath);
+    opsSinceCompact = 0;
+  }
+
+  function record(state, keys) {
+    if (keys.length === 0) return;
+    const t = Date.now();
+    expire(t);
+    keys.forEach((key) => set(key, state, t));
+    fs.appendFileSync(filePath, `${JSON.stringify({ op: state, keys, t })}\n`);
+    if (++opsSinceCompact >= COMPACT_AFTER_OPS) compact();
+  }
+
+  // Reaplica o journal do disco (a compactação fica para a próxima gravação)
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+    for (const line of lines) {
+      try {
+        const { op, keys, t } = JSON.parse(line);
+        keys.forEach((key) => set(key, op, t));
+      } catch (error) {
+        logger.warn('Linha do ledger inválida. Ignorada.');
+      }
+    }
+    expire();
+    opsSinceCompact = lines.length;
+    logger.info(`Ledger carregado: ${entries.size} chaves.`);
+  }
+
+  return {
+    /**
+     * @returns {'pending'|'delivered'|null}
+     */
+    status(key) {
+      expire();
+      return entries.get(key)?.state || null;
+    },
+
+    markPending(keys) {
+      record('pending', keys);
+    },
+
+    markDelivered(keys) {
+      record('delivered', keys);
+    },
+
+    size() {
+      expire();
+      return entries.size;
+    },
+  };
+}
@@ -0,0 +1,199 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+
+// Quantidade de operações no journal antes de reescrevê-lo de forma compacta
+const COMPACT_AFTER_OPS = 200;
+
+/**
+ * Converte uma posição lida do journal de volta ao formato padrão (date como Date).
+ */
+function revivePosition(position) {
+  return { ...position, date: position.date ? new Date(position.date) : null };
+}
+
+/**
+ * Cria uma fila persistente de posições (journal append-only em disco).
+ *
+ * Cada linha do arquivo é uma operação JSON:
+ * - { op: 'push', items: [{ id, position }] }
+ * - { op: 'ack', ids: [...] }   (posições confirmadas no Sankhya)
+ * - { op: 'drop', ids: [...] }  (posições descartadas pelo limite da fila)
+ * - { op: 'fail', ids: [...] }  (falha de carga: soma uma tentativa às posições)
+ * - { op: 'clear' }
+ *
+ * As tentativas com falha ficam no journal junto das posições, para que o limite da
+ * dead-letter continue valendo após um reinício do processo.
+ *
+ * @param {string} name - Nome da fila (ex: nome do job)
+ * @param {Object} options
+ * @param {string} options.dir - Diretório dos arquivos de fila
+ * @param {number} options.maxSize - Quantidade máxima de posições mantidas
+ */
+export function createPositionQueue(name, { dir, maxSize }) {
+  const logger = createLogger(`Queue:${name}`);
+  const filePath = path.resolve(dir, `${name.toLowerCase().replace(/[^a-z0-9_-]/g, '_')}.jsonl`);
+
+  const items = new Map(); // id -> posição
+  const ids = new WeakMap(); // posição -> id
+  const attempts = new Map(); // id -> tentativas com falha
+  let nextId = 1;
+  let opsSinceCompact = 0;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  function append(entry) {
+    fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+    opsSinceCompact++;
+    if (items.size === 0) {
+      fs.writeFileSync(filePath, '');
+      opsSinceCompact = 0;
+    } else if (opsSinceCompact >= COMPACT_AFTER_OPS) {
+      compact();
+    }
+  }
+
+  function compact() {
+    const tmpPath = `${filePath}.tmp`;
+    const snapshot = [...items].map(([id, position]) => (attempts.has(id)
+      ? { id, position, attempts: attempts.get(id) }
+      : { id, position }));
+    fs.writeFileSync(tmpPath, `${JSON.stringify({ op: 'push', items: snapshot })}\n`);
+    fs.renameSync(tmpPath, filePath);
+    opsSinceCompact = 0;
+    logger.debug(`Journal compactado (${items.size} posições).`);
+  }
+
+  function track(id, position, failures = 0) {
+    items.set(id, position);
+    ids.set(position, id);
+    if (failures > 0) attempts.set(id, failures);
+    nextId = Math.max(nextId, id + 1);
+  }
+
+  function remove(idList) {
+    idList.forEach((id) => {
+      items.delete(id);
+      attempts.delete(id);
+    });
+  }
+
+  function addAttempt(idList) {
+    idList.filter((id) => items.has(id)).forEach((id) => attempts.set(id, (attempts.get(id) || 0) + 1));
+  }
+
+  return {
+    name,
+    filePath,
+
+    /**
+     * Reaplica o journal do disco. Chamado na inicialização do job.
+     * @returns {number} Quantidade de posições pendentes recuperadas
+     */
+    load() {
+      if (!fs.existsSync(filePath)) return 0;
+
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+      for (const [index, line] of lines.entries()) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // Linha truncada (processo encerrado durante a escrita)
+          logger.warn(`Linha ${index + 1} do journal inválida. Ignorada.`);
+          continue;
+        }
+
+        if (entry.op === 'push') {
+          entry.items.forEach(({ id, position, attempts: failures }) => track(id, revivePosition(position), failures));
+        } else if (entry.op === 'ack' || entry.op === 'drop') {
+          remove(entry.ids);
+        } else if (entry.op === 'fail') {
+          addAttempt(entry.ids);
+        } else if (entry.op === 'clear') {
+          items.clear();
+          attempts.clear();
+        }
+      }
+
+      compact();
+      if (items.size > 0) {
+        logger.info(`Fila recuperada do disco: ${items.size} posições pendentes.`);
+      }
+      return items.size;
+    },
+
+    size() {
+      return items.size;
+    },
+
+    /**
+     * Retorna as posições pendentes, na ordem de chegada.
+     */
+    getPositions() {
+      return [...items.values()];
+    },
+
+    /**
+     * Adiciona posições à fila, descartando as mais antigas se o limite for atingido.
+     * @param {Array<Object>} positions - Posições no formato padrão
+     */
+    push(positions) {
+      if (!positions || positions.length === 0) return;
+
+      const entries = positions.map((position) => {
+        const id = nextId++;
+        track(id, position);
+        return { id, position };
+      });
+
+      const overflow = items.size - maxSize;
+      const dropped = overflow > 0 ? [...items.keys()].slice(0, overflow) : [];
+      if (dropped.length > 0) {
+        remove(dropped);
+      }
+
+      append({ op: 'push', items: entries.filter(({ id }) => items.has(id)) });
+      if (dropped.length > 0) {
+        append({ op: 'drop', ids: dropped });
+        logger.warn(`Fila cheia (limite de ${maxSize}). ${dropped.length} posições mais antigas descartadas.`);
+      }
+      logger.info(`${positions.length} posições gravadas na fila. Pendentes: ${items.size}.`);
+    },
+
+    /**
+     * Remove da fila posições confirmadas no Sankhya.
+     * @param {Array<Object>} positions - Posições retornadas por getPositions()
+     */
+    ack(positions) {
+      const acked = positions.map((position) => ids.get(position)).filter((id) => items.has(id));
+      if (acked.length === 0) return;
+      remove(acked);
+      append({ op: 'ack', ids: acked });
+      logger.debug(`${acked.length} posições confirmadas. Pendentes: ${items.size}.`);
+    },
+
+    /**
+     * Soma uma tentativa com falha às posições.
+     * @param {Array<Object>} positions - Posições retornadas por getPositions()
+     * @returns {Array<number>} Tentativas com falha de cada posição, na mesma ordem
+     */
+    recordFailure(positions) {
+      const failed = positions.map((position) => ids.get(position)).filter((id) => items.has(id));
+      if (failed.length > 0) {
+        addAttempt(failed);
+        append({ op: 'fail', ids: failed });
+      }
+      return positions.map((position) => attempts.get(ids.get(position)) || 0);
+    },
+
+    clear() {
+      if (items.size === 0) return;
+      const count = items.size;
+      items.clear();
+      attempts.clear();
+      append({ op: 'clear' });
+      logger.debug(`Fila limpa (${count} posições removidas).`);
+    },
+  };
+}
@@ -0,0 +1,52 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('StateStore');
+
+/**
+ * Cria um armazenamento chave/valor persistido em um arquivo JSON.
+ * Cada alteração reescreve o arquivo de forma atômica (arquivo temporário + rename).
+ * @param {string} name - Nome do arquivo (sem extensão)
+ * @param {Object} options
+ * @param {string} options.dir - Diretório do arquivo
+ */
+export function createStateStore(name, { dir }) {
+  const filePath = path.resolve(dir, `${name.toLowerCase().replace(/[^a-z0-9_-]/g, '_')}.json`);
+  let data = {};
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  if (fs.existsSync(filePath)) {
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      logger.warn(`Arquivo de estado ${filePath} inválido (${error.message}). Iniciando vazio.`);
+    }
+  }
+
+  function persist() {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    filePath,
+
+    get(key, fallback = null) {
+      return key in data ? data[key] : fallback;
+    },
+
+    set(key, value) {
+      data[key] = value;
+      persist();
+    },
+
+    delete(key) {
+      if (!(key in data)) return;
+      delete data[key];
+      persist();
+    },
+  };
+}
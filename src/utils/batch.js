@@ -0,0 +1,41 @@
+/**
+ * Divide uma lista em blocos de tamanho máximo `size`.
+ * @param {Array} items - Lista original
+ * @param {number} size - Tamanho máximo de cada bloco
+ * @returns {Array<Array>}
+ */
+export function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Executa `fn` para cada item com no máximo `limit` execuções simultâneas.
+ * Retorna os resultados na ordem dos itens, no formato do Promise.allSettled.
+ * @param {Array} items - Itens a processar
+ * @param {number} limit - Paralelismo máximo
+ * @param {Function} fn - Função async (item, index)
+ * @returns {Promise<Array<{ status: string, value?: any, reason?: Error }>>}
+ */
+export async function settleWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
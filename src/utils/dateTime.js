@@ -59,7 +59,13 @@ export const formatForSankhyaInsert = (dateObj) => {
 };
 
 /**
- * Compara uma nova data (Date object) com a última data registrada (do Sankhya Query).
+ * Formata um objeto Date para exibição nos logs (DD/MM/YYYY HH:mm:ss).
+ */
+export const formatForLog = (dateObj) => format(dateObj, DDMMYYYY_HHMMSS_FORMAT);
+
+/**
+ * Compara uma nova data (Date object) com a última data registrada
+ * (string do Sankhya Query ou Date).
  * Retorna true se a nova data for mais recente.
  */
 export const isNewer = (newDate, lastDateStr) => {
@@ -71,7 +77,7 @@ export const isNewer = (newDate, lastDateStr) => {
     return true; // Não há data antiga, aceita a nova
   }
 
-  const lastDate = parseSankhyaQueryDate(lastDateStr);
+  const lastDate = lastDateStr instanceof Date ? lastDateStr : parseSankhyaQueryDate(lastDateStr);
 
   if (!lastDate || !isValid(lastDate)) {
     return true; // Data antiga é inválida, aceita a nova
@@ -83,5 +89,21 @@ export const isNewer = (newDate, lastDateStr) => {
 /**
  * Cria uma pausa assíncrona
  * @param {number} ms - Tempo em milissegundos
+ * @param {AbortSignal} [signal] - Interrompe a pausa, rejeitando com o motivo do cancelamento
+ *   (ex: cycleSignal(), cancelado no timeout do ciclo)
  */
-export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
\ No newline at end of file
+export const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
\ No newline at end of file
@@ -26,4 +26,119 @@ export class SankhyaTokenError extends TokenError {
     super(message);
     this.name = 'SankhyaTokenError';
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Erro na montagem de uma consulta SQL (valor ou identificador inválido)
+ */
+export class QueryBuildError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryBuildError';
+  }
+}
+
+/**
+ * Requisição recusada pelo Sankhya (status diferente de '1'),
+ * ex: erro de validação ou chave estrangeira inválida
+ */
+export class SankhyaServiceError extends Error {
+  constructor(serviceName, statusMessage) {
+    super(`Erro na requisição Sankhya (${serviceName}): ${statusMessage || 'Erro desconhecido'}`);
+    this.name = 'SankhyaServiceError';
+    this.serviceName = serviceName;
+    this.statusMessage = statusMessage;
+  }
+}
+
+/**
+ * Falha na API de um fornecedor de rastreamento (rede, timeout, HTTP de erro).
+ * `source` é o nome da instância do conector (ex: 'Atualcargo').
+ */
+export class SourceError extends Error {
+  constructor(source, message, { status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'SourceError';
+    this.source = source;
+    this.status = status; // Status HTTP (null: sem resposta)
+    this.retryAfterMs = retryAfterMs; // Espera pedida pelo fornecedor (Retry-After)
+  }
+}
+
+/**
+ * O fornecedor não respondeu dentro do timeout
+ */
+export class SourceTimeoutError extends SourceError {
+  constructor(source, message, options) {
+    super(source, message, options);
+    this.name = 'SourceTimeoutError';
+  }
+}
+
+/**
+ * Rate limit do fornecedor (HTTP 425 / 429)
+ */
+export class SourceRateLimitError extends SourceError {
+  constructor(source, message, options) {
+    super(source, message, options);
+    this.name = 'SourceRateLimitError';
+  }
+}
+
+/**
+ * Chamada não enviada: o circuito do fornecedor está aberto
+ */
+export class CircuitOpenError extends SourceError {
+  constructor(source, retryAfterMs) {
+    const wait = retryAfterMs ? ` Nova tentativa em ${Math.ceil(retryAfterMs / 1000)}s.` : '';
+    super(source, `Circuito da ${source} aberto.${wait}`, { retryAfterMs });
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * O ciclo do job excedeu o timeout (JOB_TIMEOUT_*). As chamadas HTTP em andamento
+ * são canceladas com este erro como motivo (signal.reason).
+ */
+export class CycleTimeoutError extends Error {
+  constructor(jobName, timeoutMs) {
+    super(`Ciclo do job ${jobName} excedeu o timeout de ${Math.round(timeoutMs / 1000)}s.`);
+    this.name = 'CycleTimeoutError';
+    this.jobName = jobName;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * O diretório de dados (DATA_DIR) está travado por outro processo (hub ou CLI).
+ */
+export class DataLockError extends Error {
+  constructor(filePath, holder) {
+    super(`Diretório de dados em uso por ${holder.owner} (pid ${holder.pid}) desde ${holder.startedAt} (${filePath}).`);
+    this.name = 'DataLockError';
+    this.holder = holder;
+  }
+}
+
+/**
+ * Indica se o erro tende a se resolver sozinho (rede, timeout, sessão).
+ * Recusas do Sankhya, consultas inválidas e erros de programação/mapeamento não são transitórios.
+ */
+export function isTransientError(error) {
+  if (error instanceof TokenError) return true;
+  if (error instanceof SankhyaServiceError || error instanceof QueryBuildError) return false;
+  if (error instanceof TypeError || error instanceof RangeError || error instanceof SyntaxError) return false;
+  return true;
+}
+
+/**
+ * Configuração inválida. Reúne todos os problemas encontrados, para que sejam
+ * corrigidos de uma vez.
+ */
+export class ConfigError extends Error {
+  constructor(problems, source = 'variáveis de ambiente') {
+    super(`Configuração inválida (${source}):\n- ${problems.join('\n- ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
@@ -0,0 +1,33 @@
+const EARTH_RADIUS_M = 6371000;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Distância em metros entre duas coordenadas (fórmula de Haversine).
+ */
+export function haversineMeters(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Verifica se um ponto está dentro de um polígono (ray casting).
+ * Adequado para áreas pequenas (pátios, depósitos, bairros).
+ * @param {number} lat - Latitude do ponto
+ * @param {number} lon - Longitude do ponto
+ * @param {Array<[number, number]>} points - Vértices [lat, lon] do polígono
+ */
+export function isPointInPolygon(lat, lon, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [latI, lonI] = points[i];
+    const [latJ, lonJ] = points[j];
+    const crosses = (lonI > lon) !== (lonJ > lon) &&
+      lat < ((latJ - latI) * (lon - lonI)) / (lonJ - lonI) + latI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
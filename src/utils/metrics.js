@@ -0,0 +1,138 @@
+import client from 'prom-client';
+import { listJobStatuses } from '../jobs/job.status.js';
+
+/**
+ * Métricas do hub no formato Prometheus (expostas em /metrics).
+ */
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry, prefix: 'hub_' });
+
+// --- Posições (por fonte e tipo: vehicle/isca) ---
+
+export const positionsFetched = new client.Counter({
+  name: 'hub_positions_fetched_total',
+  help: 'Posições recebidas dos rastreadores.',
+  labelNames: ['source', 'type'],
+  registers: [registry],
+});
+
+export const positionsMapped = new client.Counter({
+  name: 'hub_positions_mapped_total',
+  help: 'Posições convertidas para o formato padrão pelos mappers.',
+  labelNames: ['source', 'type'],
+  registers: [registry],
+});
+
+export const positionsDiscarded = new client.Counter({
+  name: 'hub_positions_discarded_total',
+  help: 'Posições descartadas pelos mappers (dados ou data inválidos).',
+  labelNames: ['source', 'type'],
+  registers: [registry],
+});
+
+export const positionsUnregistered = new client.Counter({
+  name: 'hub_positions_unregistered_total',
+  help: 'Posições ignoradas por veículo/isca não cadastrado no Sankhya.',
+  labelNames: ['source', 'type'],
+  registers: [registry],
+});
+
+export const positionsInserted = new client.Counter({
+  name: 'hub_positions_inserted_total',
+  help: 'Posições inseridas no Sankhya (AD_LOCATCAR / AD_LOCATISC).',
+  labelNames: ['source', 'type'],
+  registers: [registry],
+});
+
+export const positionsRejected = new client.Counter({
+  name: 'hub_positions_rejected_total',
+  help: 'Posições rejeitadas pelo filtro de sanidade e enviadas para a quarentena.',
+  labelNames: ['source', 'type', 'reason'],
+  registers: [registry],
+});
+
+// --- Latência das chamadas externas ---
+
+export const requestDuration = new client.Histogram({
+  name: 'hub_request_duration_seconds',
+  help: 'Latência das chamadas às APIs Atualcargo, Sitrax e Sankhya.',
+  labelNames: ['target', 'serviceName', 'outcome'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  registers: [registry],
+});
+
+/**
+ * Mede a duração de uma chamada assíncrona no histograma de requisições.
+ * @param {string} target - API chamada ('atualcargo', 'sitrax', 'sankhya')
+ * @param {string} serviceName - Serviço/endpoint chamado
+ * @param {Function} fn - Função async que executa a chamada
+ */
+export async function timeRequest(target, serviceName, fn) {
+  const end = requestDuration.startTimer({ target, serviceName });
+  try {
+    const result = await fn();
+    end({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    end({ outcome: 'error' });
+    throw error;
+  }
+}
+
+// --- Sankhya ---
+
+export const sankhyaContingencySwitches = new client.Counter({
+  name: 'hub_sankhya_contingency_switches_total',
+  help: 'Trocas de URL do Sankhya (principal <-> contingência).',
+  labelNames: ['job', 'to'],
+  registers: [registry],
+});
+
+export const sankhyaRelogins = new client.Counter({
+  name: 'hub_sankhya_relogins_total',
+  help: 'Reautenticações no Sankhya disparadas por "Não autorizado.".',
+  registers: [registry],
+});
+
+// --- Jobs (lidos do registro de status a cada coleta) ---
+
+new client.Gauge({
+  name: 'hub_job_cache_positions',
+  help: 'Posições pendentes no cache (fila persistente) de cada job.',
+  labelNames: ['job'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    listJobStatuses().forEach((job) => this.set({ job: job.name }, job.cacheSize));
+  },
+});
+
+new client.Gauge({
+  name: 'hub_sankhya_active_endpoint',
+  help: 'URL do Sankhya em uso por cada job (1 = ativa).',
+  labelNames: ['job', 'endpoint'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    listJobStatuses().forEach((job) => {
+      this.set({ job: job.name, endpoint: 'primary' }, job.sankhyaEndpoint === 'primary' ? 1 : 0);
+      this.set({ job: job.name, endpoint: 'contingency' }, job.sankhyaEndpoint === 'contingency' ? 1 : 0);
+    });
+  },
+});
+
+export const jobCycles = new client.Counter({
+  name: 'hub_job_cycles_total',
+  help: 'Ciclos executados por job e resultado.',
+  labelNames: ['job', 'outcome'],
+  registers: [registry],
+});
+
+export const jobCycleDuration = new client.Histogram({
+  name: 'hub_job_cycle_duration_seconds',
+  help: 'Duração dos ciclos de cada job.',
+  labelNames: ['job'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600],
+  registers: [registry],
+});
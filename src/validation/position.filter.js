@@ -0,0 +1,158 @@
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { haversineMeters } from '../utils/geo.js';
+import { positionsRejected } from '../utils/metrics.js';
+import { createStateStore } from '../storage/state.store.js';
+import { createPositionQueue } from '../storage/position.queue.js';
+
+const logger = createLogger('PositionFilter');
+
+export const RejectionReason = Object.freeze({
+  INVALID_COORDINATES: 'INVALID_COORDINATES', // Latitude/longitude não numéricas
+  ZERO_COORDINATES: 'ZERO_COORDINATES', // 0,0 (GPS sem sinal)
+  OUT_OF_BOUNDS: 'OUT_OF_BOUNDS', // Fora dos limites configurados (Brasil)
+  FUTURE_TIMESTAMP: 'FUTURE_TIMESTAMP', // Data além da tolerância de relógio
+  IMPOSSIBLE_SPEED: 'IMPOSSIBLE_SPEED', // Salto desde a última posição aceita
+});
+
+// Rejeições seguidas por velocidade antes de aceitar a posição como nova referência
+// (evita que uma única posição errada aceita bloqueie o dispositivo indefinidamente)
+const MAX_SPEED_REJECTIONS = 3;
+
+// Última posição aceita de cada dispositivo, persistida entre reinícios
+const store = createStateStore('position-filter', { dir: appConfig.dataDir });
+const lastAccepted = store.get('devices', {}); // `${type}:${identifier}` -> { date, lat, lon, speedRejections }
+
+// Posições rejeitadas, com o motivo
+const quarantine = createPositionQueue('Quarantine', {
+  dir: appConfig.dataDir,
+  maxSize: appConfig.quarantineMaxPositions,
+});
+quarantine.load();
+
+/**
+ * Verifica coordenadas e data da posição, sem depender do histórico.
+ * @returns {{ reason: string, detail: string }|null} Motivo da rejeição ou null
+ */
+function checkPosition(lat, lon, date, now) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return { reason: RejectionReason.INVALID_COORDINATES, detail: `${lat},${lon}` };
+  }
+  if (lat === 0 && lon === 0) {
+    return { reason: RejectionReason.ZERO_COORDINATES, detail: '0,0' };
+  }
+  const [latMin, latMax, lonMin, lonMax] = appConfig.positionBounds;
+  if (lat < latMin || lat > latMax || lon < lonMin || lon > lonMax) {
+    return { reason: RejectionReason.OUT_OF_BOUNDS, detail: `${lat},${lon}` };
+  }
+  const skewMs = date.getTime() - now;
+  if (skewMs > appConfig.positionMaxClockSkewMs) {
+    return { reason: RejectionReason.FUTURE_TIMESTAMP, detail: `${Math.round(skewMs / 60000)} min no futuro` };
+  }
+  return null;
+}
+
+/**
+ * Velocidade implícita (km/h) entre a última posição aceita e a atual.
+ * Posições com data anterior ou igual à última aceita não são comparadas.
+ * @returns {number|null}
+ */
+function impliedSpeedKmh(previous, lat, lon, date) {
+  if (!previous || date.getTime() <= previous.date) return null;
+  const hours = (date.getTime() - previous.date) / 3600000;
+  return (haversineMeters(previous.lat, previous.lon, lat, lon) / 1000) / hours;
+}
+
+/**
+ * Aplica o filtro de sanidade às posições mapeadas.
+ * As rejeitadas vão para a quarentena com o motivo e não seguem para o Sankhya.
+ * @param {Array<Object>} positions - Posições no formato padrão
+ * @param {string} source - Nome da fonte (ex: 'Atualcargo')
+ * @param {Object} [options]
+ * @param {boolean} [options.preview] - Dry-run: apenas classifica as posições, sem gravar a
+ *   última posição aceita, sem quarentena e sem métricas
+ * @returns {Array<Object>} Posições aceitas
+ */
+export function filterPositions(positions, source, { preview = false } = {}) {
+  if (!appConfig.positionFilterEnabled || positions.length === 0) return positions;
+
+  const now = Date.now();
+  const accepted = [];
+  const rejected = [];
+
+  // Na prévia, a última posição aceita de cada dispositivo é alterada em cópias locais
+  const devices = preview ? {} : lastAccepted;
+  const deviceState = (key) => {
+    if (!(key in devices) && lastAccepted[key]) devices[key] = { ...lastAccepted[key] };
+    return devices[key];
+  };
+
+  // Ordem cronológica, para a velocidade ser calculada entre posições consecutivas
+  const ordered = [...positions].sort((a, b) => a.date - b.date);
+
+  for (const position of ordered) {
+    const lat = Number(position.lat);
+    const lon = Number(position.lon);
+    const key = `${position.type}:${position.identifier}`;
+
+    let rejection = checkPosition(lat, lon, position.date, now);
+    if (!rejection) {
+      const previous = deviceState(key);
+      const speed = impliedSpeedKmh(previous, lat, lon, position.date);
+      if (speed !== null && speed > appConfig.positionMaxSpeedKmh) {
+        previous.speedRejections = (previous.speedRejections || 0) + 1;
+        if (previous.speedRejections < MAX_SPEED_REJECTIONS) {
+          rejection = { reason: RejectionReason.IMPOSSIBLE_SPEED, detail: `${Math.round(speed)} km/h` };
+        } else {
+          logger.warn(`[${source}] ${key}: ${MAX_SPEED_REJECTIONS} saltos seguidos. Posição aceita como nova referência.`);
+        }
+      }
+    }
+
+    if (rejection) {
+      if (!preview) positionsRejected.inc({ source, type: position.type, reason: rejection.reason });
+      rejected.push({ ...position, source, ...rejection, rejectedAt: new Date(now).toISOString() });
+      continue;
+    }
+
+    if (!deviceState(key) || position.date.getTime() > devices[key].date) {
+      devices[key] = { date: position.date.getTime(), lat, lon, speedRejections: 0 };
+    }
+    accepted.push(position);
+  }
+
+  if (!preview) store.set('devices', lastAccepted);
+
+  if (rejected.length > 0) {
+    const summary = {};
+    rejected.forEach(({ reason }) => { summary[reason] = (summary[reason] || 0) + 1; });
+    if (preview) {
+      logger.info(`[${source}] ${rejected.length} posições seriam enviadas para a quarentena: ${JSON.stringify(summary)}`);
+    } else {
+      logger.warn(`[${source}] ${rejected.length} posições em quarentena: ${JSON.stringify(summary)}`);
+      quarantine.push(rejected);
+    }
+  }
+  return accepted;
+}
+
+/**
+ * Posições em quarentena, das mais recentes para as mais antigas.
+ * @param {{ source?: string, limit?: number }} filter
+ */
+export function listQuarantine({ source, limit = 100 } = {}) {
+  return quarantine.getPositions()
+    .filter((p) => !source || p.source === source)
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Esvazia a quarentena (API admin).
+ * @returns {number} Quantidade de posições removidas
+ */
+export function clearQuarantine() {
+  const count = quarantine.size();
+  quarantine.clear();
+  return count;
+}
@@ -0,0 +1,59 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { setupHub } from './support/hub.env.js';
+
+const hub = await setupHub({ ADMIN_TOKEN: 'segredo' });
+const { createJobLoop } = await import('../src/jobs/job.scheduler.js');
+const { registerJob } = await import('../src/jobs/job.registry.js');
+const { registerAdminRoutes } = await import('../src/server/admin.routes.js');
+const { startHttpServer } = await import('../src/server/http.server.js');
+
+let server;
+let baseUrl;
+const loops = [];
+
+before(async () => {
+  const noop = async () => {};
+  loops.push(createJobLoop('PorIntervalo', noop, { interval: 300000 }));
+  loops.push(createJobLoop('PorCron', noop, { interval: 300000, cron: '0 3 * * *' }));
+  loops.push(createJobLoop('PorJanela', noop, { interval: 300000, windows: ['07:00-19:00 60000'] }));
+  loops.forEach((loop) => registerJob(loop.name, { loop, state: {} }));
+
+  registerAdminRoutes();
+  server = startHttpServer(0);
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  loops.forEach((loop) => loop.pause());
+  await new Promise((resolve) => server.close(resolve));
+  await hub.teardown();
+});
+
+const setInterval = (job, ms) => fetch(`${baseUrl}/admin/jobs/interval?job=${job}&ms=${ms}`, {
+  method: 'POST',
+  headers: { Authorization: 'Bearer segredo' },
+});
+
+test('altera o intervalo de um job agendado por intervalo', async () => {
+  const response = await setInterval('PorIntervalo', 120000);
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.intervalMs, 120000);
+  assert.equal(body.schedule.interval, 120000);
+});
+
+test('recusa com 409 o intervalo de um job agendado por cron', async () => {
+  const response = await setInterval('PorCron', 120000);
+  assert.equal(response.status, 409);
+  assert.match((await response.json()).error, /cron/);
+  assert.equal(loops[1].getSchedule().interval, 300000);
+});
+
+test('com janelas de horário, retorna a agenda em vigor', async () => {
+  const response = await setInterval('PorJanela', 120000);
+  assert.equal(response.status, 200);
+  assert.deepEqual((await response.json()).schedule.windows, ['07:00-19:00 60000']);
+});
@@ -0,0 +1,127 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupHub } from './support/hub.env.js';
+
+const hub = await setupHub({
+  CONNECTOR_RETRY_ATTEMPTS: '2',
+  CONNECTOR_BACKOFF_BASE_MS: '10',
+  CONNECTOR_BACKOFF_MAX_MS: '20',
+  CIRCUIT_FAILURE_THRESHOLD: '2',
+  CIRCUIT_OPEN_MS: '1000',
+  CIRCUIT_OPEN_MAX_MS: '1000',
+});
+const { callSource, getCircuitBreaker, parseRetryAfter, toSourceError } = await import('../src/connectors/connector.resilience.js');
+const { SourceError, SourceRateLimitError, CircuitOpenError, AtualcargoTokenError } = await import('../src/utils/errors.js');
+const { delay } = await import('../src/utils/dateTime.js');
+
+after(() => hub.teardown());
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  isAxiosError: true,
+  response: { status, headers },
+});
+
+// Chamada que falha com `error` nas primeiras `failures` vezes e depois responde
+function flakyRequest(error, failures = Infinity) {
+  const request = async () => {
+    request.calls++;
+    if (request.calls <= failures) throw error;
+    return { data: 'ok' };
+  };
+  request.calls = 0;
+  return request;
+}
+
+test('Retry-After em segundos ou data HTTP', () => {
+  assert.equal(parseRetryAfter('120'), 120000);
+  assert.equal(parseRetryAfter('0'), 0);
+  assert.equal(parseRetryAfter('-5'), 0);
+  const inOneMinute = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+  assert.ok(inOneMinute > 58000 && inOneMinute <= 60000, String(inOneMinute));
+  assert.equal(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+  for (const header of [undefined, null, '', 'amanhã']) assert.equal(parseRetryAfter(header), null);
+});
+
+test('rate limit vira SourceRateLimitError com a espera do Retry-After', () => {
+  const error = toSourceError('Fornecedor', 'positions/last', httpError(425, { 'retry-after': '30' }));
+  assert.ok(error instanceof SourceRateLimitError);
+  assert.equal(error.retryAfterMs, 30000);
+  assert.equal(error.status, 425);
+});
+
+test('401 e 403 não são repetidos nem abrem o circuito', async () => {
+  for (const status of [401, 403]) {
+    const request = flakyRequest(httpError(status));
+    await assert.rejects(callSource('Credencial', 'login', request), (error) => error instanceof SourceError && error.status === status);
+    assert.equal(request.calls, 1);
+  }
+  const mapped = flakyRequest(httpError(401));
+  const mapError = (error) => (error.response?.status === 401 ? new AtualcargoTokenError('Token inválido') : null);
+  await assert.rejects(callSource('Credencial', 'positions/last', mapped, { mapError }), AtualcargoTokenError);
+  assert.equal(mapped.calls, 1);
+  assert.equal(getCircuitBreaker('Credencial').state, 'closed');
+});
+
+test('falhas 5xx são repetidas com backoff', async () => {
+  const request = flakyRequest(httpError(503), 2);
+  assert.deepEqual(await callSource('Oscilante', 'positions/last', request), { data: 'ok' });
+  assert.equal(request.calls, 3);
+  assert.equal(getCircuitBreaker('Oscilante').describe().failures, 0);
+
+  const failing = flakyRequest(httpError(500));
+  await assert.rejects(callSource('Oscilante', 'positions/last', failing), SourceError);
+  assert.equal(failing.calls, 3); // 1 chamada + CONNECTOR_RETRY_ATTEMPTS
+});
+
+test('circuito abre após falhas seguidas, libera uma chamada de teste e fecha no sucesso', async () => {
+  const breaker = getCircuitBreaker('Fora do ar');
+  const failing = flakyRequest(httpError(502));
+  await assert.rejects(callSource('Fora do ar', 'positions/last', failing));
+  assert.equal(breaker.state, 'closed');
+  await assert.rejects(callSource('Fora do ar', 'positions/last', failing));
+  assert.equal(breaker.state, 'open');
+
+  const blocked = flakyRequest(httpError(502));
+  await assert.rejects(callSource('Fora do ar', 'positions/last', blocked), CircuitOpenError);
+  assert.equal(blocked.calls, 0);
+
+  await delay(1050);
+  let finishTrial;
+  const trial = callSource('Fora do ar', 'positions/last', () => new Promise((resolve) => { finishTrial = resolve; }));
+  assert.equal(breaker.state, 'half-open');
+  // Apenas uma chamada de teste por vez no meio-aberto
+  await assert.rejects(callSource('Fora do ar', 'positions/last', blocked), CircuitOpenError);
+  assert.equal(blocked.calls, 0);
+
+  finishTrial({ data: 'ok' });
+  await trial;
+  assert.equal(breaker.state, 'closed');
+});
+
+test('falha da chamada de teste reabre o circuito', async () => {
+  const breaker = getCircuitBreaker('Instável');
+  const failing = flakyRequest(httpError(503));
+  await assert.rejects(callSource('Instável', 'positions/last', failing));
+  await assert.rejects(callSource('Instável', 'positions/last', failing));
+  assert.equal(breaker.state, 'open');
+
+  await delay(1050);
+  const calls = failing.calls;
+  await assert.rejects(callSource('Instável', 'positions/last', failing), SourceError);
+  assert.equal(failing.calls, calls + 1); // Sem novas tentativas fora do circuito fechado
+  assert.equal(breaker.state, 'open');
+});
+
+test('rate limit abre o circuito pelo tempo do Retry-After, sem novas tentativas', async () => {
+  const breaker = getCircuitBreaker('Limitado');
+  const request = flakyRequest(httpError(429, { 'retry-after': '5' }));
+  const before = Date.now();
+  await assert.rejects(callSource('Limitado', 'positions/last', request), SourceRateLimitError);
+  assert.equal(request.calls, 1);
+  assert.equal(breaker.state, 'open');
+  assert.ok(breaker.describe().openUntil.getTime() - before >= 5000);
+
+  const error = await callSource('Limitado', 'positions/last', request).catch((e) => e);
+  assert.ok(error instanceof CircuitOpenError);
+  assert.ok(error.retryAfterMs > 4000);
+});
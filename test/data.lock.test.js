@@ -0,0 +1,37 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+process.env.LOG_LEVEL = 'error';
+const { acquireDataLock } = await import('../src/storage/data.lock.js');
+const { DataLockError } = await import('../src/utils/errors.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'integracao-hub-lock-'));
+const lockPath = path.join(dir, 'hub.lock');
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const writeHolder = (pid) => fs.writeFileSync(lockPath, JSON.stringify({ pid, owner: 'hub', startedAt: new Date().toISOString() }));
+
+test('recusa a trava mantida por outro processo em execução', async () => {
+  writeHolder(process.ppid);
+  await assert.rejects(acquireDataLock('deadletter', { dir }), (error) => {
+    assert.ok(error instanceof DataLockError);
+    assert.equal(error.holder.pid, process.ppid);
+    return true;
+  });
+  fs.rmSync(lockPath);
+});
+
+test('descarta a trava de um processo encerrado e libera ao final', async () => {
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  writeHolder(pid);
+
+  const lock = await acquireDataLock('deadletter', { dir });
+  assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+
+  lock.release();
+  assert.equal(fs.existsSync(lockPath), false);
+});
@@ -0,0 +1,49 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+
+process.env.LOG_LEVEL = 'error';
+const { createDeliveryLedger } = await import('../src/storage/delivery.ledger.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'integracao-hub-ledger-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('chaves expiram em memória após a retenção, sem depender de novas operações', async () => {
+  const ledger = createDeliveryLedger('expira', { dir, retentionMs: 400 });
+  ledger.markPending(['a', 'b']);
+  ledger.markDelivered(['a']);
+  assert.equal(ledger.status('a'), 'delivered');
+  assert.equal(ledger.status('b'), 'pending');
+
+  await sleep(500);
+  assert.equal(ledger.status('a'), null);
+  assert.equal(ledger.size(), 0);
+});
+
+test('chave regravada segue a data da última operação', async () => {
+  const ledger = createDeliveryLedger('regravada', { dir, retentionMs: 400 });
+  ledger.markPending(['a', 'b']);
+  await sleep(250);
+  ledger.markDelivered(['a']);
+  await sleep(250);
+  assert.equal(ledger.status('a'), 'delivered');
+  assert.equal(ledger.status('b'), null);
+});
+
+test('carregar o journal ignora as chaves expiradas e não reescreve o arquivo', async () => {
+  const first = createDeliveryLedger('journal', { dir, retentionMs: 400 });
+  first.markDelivered(['antiga']);
+  await sleep(500);
+  first.markDelivered(['recente']);
+
+  const filePath = path.join(dir, 'journal.jsonl');
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  const reloaded = createDeliveryLedger('journal', { dir, retentionMs: 400 });
+  assert.equal(reloaded.status('antiga'), null);
+  assert.equal(reloaded.status('recente'), 'delivered');
+  assert.equal(fs.readFileSync(filePath, 'utf8'), content);
+});
@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupHub, standardPosition } from './support/hub.env.js';
+
+const hub = await setupHub({ SANKHYA_INSERT_CHUNK_SIZE: '1', SANKHYA_CHUNK_CONCURRENCY: '1' });
+const { processPositions } = await import('../src/sankhya/sankhya.processor.js');
+const { deadLetters, replayDeadLetter } = await import('../src/jobs/job.deadletter.js');
+
+const { sankhya } = hub;
+const t0 = new Date(2025, 10, 7, 9, 55, 0);
+const t1 = new Date(2025, 10, 7, 10, 0, 0);
+const t2 = new Date(2025, 10, 7, 10, 5, 0);
+
+before(async () => {
+  sankhya.state.vehicles.set('ABC1234', 5);
+  // Carga normal posterior à falha: a marca d'água do veículo passa a ser t2
+  await processPositions([standardPosition({ identifier: 'ABC1234', date: t2 })], 'Teste', sankhya.url, '1');
+});
+
+after(() => hub.teardown());
+
+const addEntry = (position) => deadLetters.add([position], {
+  stage: 'load',
+  source: 'Teste',
+  connectorType: 'atualcargo',
+  fabricanteId: '1',
+  error: new Error('FK inválida'),
+  attempts: 1,
+})[0];
+
+const storedDates = (code) => sankhya.state.stored.filter((row) => row.code === code).map((row) => row.date.getTime());
+
+test('reprocessa registro anterior à marca d\'água e remove a entrada', async () => {
+  const entry = addEntry(standardPosition({ identifier: 'ABC1234', date: t1 }));
+
+  const result = await replayDeadLetter(deadLetters.get(entry.id));
+  assert.deepEqual(result, { ok: true });
+  assert.ok(storedDates(5).includes(t1.getTime()));
+  assert.equal(deadLetters.get(entry.id), null);
+});
+
+test('registro já gravado no Sankhya remove a entrada sem nova inserção', async () => {
+  sankhya.state.stored.push({ entity: 'AD_LOCATCAR', code: 5, date: t0 });
+  const entry = addEntry(standardPosition({ identifier: 'ABC1234', date: t0 }));
+  const saves = sankhya.state.saves.length;
+
+  const result = await replayDeadLetter(deadLetters.get(entry.id));
+  assert.deepEqual(result, { ok: true });
+  assert.equal(sankhya.state.saves.length, saves);
+  assert.equal(deadLetters.get(entry.id), null);
+});
+
+test('dispositivo sem cadastro mantém a entrada', async () => {
+  const entry = addEntry(standardPosition({ identifier: 'ZZZ9999', date: t1 }));
+
+  const result = await replayDeadLetter(deadLetters.get(entry.id));
+  assert.equal(result.ok, false);
+  const kept = deadLetters.get(entry.id);
+  assert.equal(kept.attempts, 2);
+  assert.match(kept.error, /não cadastrado/);
+});
+
+test('falha do Sankhya mantém a entrada com o novo erro', async () => {
+  const date = new Date(2025, 10, 7, 9, 50, 0);
+  sankhya.state.failSave = () => 'Valor inválido para LOCAL';
+  const entry = addEntry(standardPosition({ identifier: 'ABC1234', date }));
+
+  const result = await replayDeadLetter(deadLetters.get(entry.id));
+  sankhya.state.failSave = null;
+  assert.equal(result.ok, false);
+  assert.match(deadLetters.get(entry.id).error, /Valor inválido para LOCAL/);
+  assert.ok(!storedDates(5).includes(date.getTime()));
+});
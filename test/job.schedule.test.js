@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronRun, parseWindow, scheduleProblems, createSchedule } from '../src/jobs/job.schedule.js';
+
+// Horários locais (a agenda usa o fuso do processo). 07/11/2025 é uma sexta-feira.
+const at = (day, hours, minutes = 0, seconds = 0) => new Date(2025, 10, day, hours, minutes, seconds);
+
+test('cron com passo retorna o próximo minuto estritamente posterior', () => {
+  const cron = parseCron('*/15 * * * *');
+  assert.deepEqual(nextCronRun(cron, at(7, 10, 7, 30)), at(7, 10, 15));
+  assert.deepEqual(nextCronRun(cron, at(7, 10, 15)), at(7, 10, 30));
+  assert.deepEqual(nextCronRun(cron, at(7, 23, 50)), at(8, 0, 0));
+});
+
+test('cron com dia da semana 7 vale como domingo', () => {
+  assert.deepEqual(nextCronRun(parseCron('0 9 * * 7'), at(7, 10)), at(9, 9));
+  assert.deepEqual(nextCronRun(parseCron('0 9 * * 0'), at(7, 10)), at(9, 9));
+});
+
+test('cron com dia do mês e dia da semana restritos aceita qualquer um dos dois', () => {
+  // Dia 15 (sábado) ou segunda-feira: o dia 15 vem antes da segunda (17)
+  const cron = parseCron('0 8 15 * 1');
+  assert.deepEqual(nextCronRun(cron, at(13, 12)), at(15, 8));
+  assert.deepEqual(nextCronRun(cron, at(15, 9)), at(17, 8));
+});
+
+test('cron que nunca ocorre retorna null e é apontado na validação', () => {
+  assert.equal(nextCronRun(parseCron('0 0 31 2 *'), at(7, 10)), null);
+  assert.deepEqual(scheduleProblems({ cron: '0 0 31 2 *' }), ['a expressão cron "0 0 31 2 *" nunca ocorre.']);
+  assert.deepEqual(scheduleProblems({ cron: '*/5 7-19 * * 1-5' }), []);
+});
+
+test('cron inválido é rejeitado', () => {
+  assert.throws(() => parseCron('* * *'), /5 campos/);
+  assert.throws(() => parseCron('60 * * * *'), /minuto fora dos limites/);
+  assert.throws(() => parseCron('* * * * seg'), /dia da semana inválido/);
+});
+
+test('janelas são validadas', () => {
+  const window = parseWindow('1-5 07:00-19:00 60000');
+  assert.deepEqual([...window.days], [1, 2, 3, 4, 5]);
+  assert.equal(window.start, 7 * 60);
+  assert.equal(window.end, 19 * 60);
+  assert.deepEqual([...parseWindow('22:00-06:00 1800000').days], [0, 1, 2, 3, 4, 5, 6]);
+
+  assert.throws(() => parseWindow('07:00-07:00 60000'), /horário da janela inválido/);
+  assert.throws(() => parseWindow('07:00-19:00 500'), /intervalo da janela/);
+  assert.throws(() => parseWindow('07:00-19:00'), /formato/);
+});
+
+test('intervalo fixo é contado a partir do fim do ciclo', () => {
+  const schedule = createSchedule({ interval: 300000 });
+  assert.deepEqual(schedule.next(at(7, 10)), { at: at(7, 10, 5), reason: 'intervalo' });
+});
+
+test('janelas definem o intervalo e antecipam a execução para o seu início', () => {
+  const schedule = createSchedule({ interval: 1800000, windows: ['1-5 07:00-19:00 60000', '22:00-06:00 600000'] });
+
+  assert.deepEqual(schedule.next(at(7, 10)), { at: at(7, 10, 1), reason: 'janela "1-5 07:00-19:00 60000"' });
+  // Às 6h50 o intervalo padrão levaria às 7h20; a janela de 1 min antecipa para as 7h
+  assert.deepEqual(schedule.next(at(7, 6, 50)), { at: at(7, 7), reason: 'início da janela "1-5 07:00-19:00 60000"' });
+  // Janela que atravessa a meia-noite
+  assert.deepEqual(schedule.next(at(7, 23)), { at: at(7, 23, 10), reason: 'janela "22:00-06:00 600000"' });
+  assert.deepEqual(schedule.next(at(8, 2)), { at: at(8, 2, 10), reason: 'janela "22:00-06:00 600000"' });
+  // Sábado às 19h30: fora das janelas, até o início da noturna
+  assert.deepEqual(schedule.next(at(8, 19, 30)), { at: at(8, 20), reason: 'intervalo' });
+  assert.deepEqual(schedule.next(at(8, 21, 45)), { at: at(8, 22), reason: 'início da janela "22:00-06:00 600000"' });
+});
+
+test('cron substitui o intervalo e as janelas', () => {
+  const schedule = createSchedule({ interval: 60000, cron: '0 */2 * * *', windows: ['07:00-19:00 1000'] });
+  assert.deepEqual(schedule.next(at(7, 10, 30)), { at: at(7, 12), reason: 'cron "0 */2 * * *"' });
+});
@@ -0,0 +1,98 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupHub } from './support/hub.env.js';
+
+const hub = await setupHub({ JOB_RETRY_DELAY_MS: '60000' });
+const { createJobLoop } = await import('../src/jobs/job.scheduler.js');
+const { getJobStatus } = await import('../src/jobs/job.status.js');
+const { createTrackerJob } = await import('../src/jobs/tracker.job.js');
+const { CycleTimeoutError } = await import('../src/utils/errors.js');
+const { delay } = await import('../src/utils/dateTime.js');
+
+const loops = [];
+after(async () => {
+  loops.forEach((loop) => loop.pause());
+  await hub.teardown();
+});
+
+const startLoop = (name, jobFunction, schedule) => {
+  const loop = createJobLoop(name, jobFunction, { interval: 300000, ...schedule });
+  loops.push(loop);
+  return loop;
+};
+
+async function waitForCycle(name) {
+  const status = getJobStatus(name);
+  for (let i = 0; i < 100 && !status.lastFinishedAt; i++) await delay(20);
+  return status;
+}
+
+test('o timeout encerra o ciclo mesmo que o job ignore o cancelamento', async () => {
+  let calls = 0;
+  let release;
+  const loop = startLoop('Travado', () => {
+    calls++;
+    return new Promise((resolve) => { release = resolve; });
+  }, { cycleTimeout: 100 });
+
+  const startedAt = Date.now();
+  const status = await waitForCycle('Travado');
+  assert.ok(Date.now() - startedAt < 1000, 'o ciclo deve terminar no timeout');
+  assert.equal(status.lastOutcome, 'error');
+  assert.match(status.lastError, /timeout/i);
+  assert.equal(status.running, false);
+
+  // A função do ciclo anterior ainda não terminou: a execução manual é adiada
+  loop.trigger();
+  await delay(100);
+  assert.equal(calls, 1);
+
+  release();
+  await delay(20);
+  loop.trigger();
+  await delay(100);
+  assert.equal(calls, 2);
+});
+
+test('esperas do ciclo são interrompidas pelo timeout', async () => {
+  let outcome;
+  startLoop('Esperando', async ({ signal }) => {
+    try {
+      await delay(60000, signal);
+    } catch (error) {
+      outcome = error;
+    }
+  }, { cycleTimeout: 100 });
+
+  await waitForCycle('Esperando');
+  await delay(20);
+  assert.ok(outcome instanceof CycleTimeoutError);
+});
+
+test('a espera de nova tentativa do job genérico respeita o timeout do ciclo', async () => {
+  const connector = {
+    type: 'teste',
+    name: 'Instavel',
+    fabricanteId: '1',
+    async authenticate() {},
+    async fetchPositions() {
+      throw new Error('Resposta inválida do fornecedor');
+    },
+    mapToStandard: (raw) => raw,
+    classifyError: () => null,
+    invalidateSession() {},
+  };
+  const job = createTrackerJob(connector);
+  let finishedAt = null;
+  startLoop(job.name, async () => {
+    await job.run().catch(() => {});
+    finishedAt = Date.now();
+  }, { cycleTimeout: 200 });
+
+  const startedAt = Date.now();
+  const status = await waitForCycle(job.name);
+  assert.ok(Date.now() - startedAt < 1000, 'o ciclo não deve aguardar JOB_RETRY_DELAY_MS');
+  assert.match(status.lastError, /timeout/i);
+  await delay(20);
+  assert.ok(finishedAt !== null, 'o job deve terminar junto com o ciclo');
+});
@@ -0,0 +1,38 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { setupHub, standardPosition } from './support/hub.env.js';
+
+const hub = await setupHub();
+const { filterPositions, listQuarantine } = await import('../src/validation/position.filter.js');
+
+after(() => hub.teardown());
+
+const at = (minutes) => new Date(Date.UTC(2025, 10, 7, 13, minutes));
+const position = (minutes, lat = -23.5, lon = -46.6) =>
+  ({ ...standardPosition({ identifier: 'ABC1234', date: at(minutes) }), lat, lon });
+
+test('prévia (dry-run) classifica as posições sem gravar estado nem quarentena', () => {
+  const positions = [
+    position(0),
+    position(1, 0, 0), // GPS sem sinal
+    position(2, -3.1, -60.0), // Salto de ~2700 km em 1 minuto
+  ];
+
+  const accepted = filterPositions(positions, 'Teste', { preview: true });
+  assert.deepEqual(accepted.map((p) => p.date), [at(0)]);
+  assert.equal(listQuarantine().length, 0);
+  assert.equal(fs.existsSync(path.join(hub.dataDir, 'position-filter.json')), false);
+
+  // A carga real não é afetada pela prévia: a primeira posição ainda é a referência inicial
+  const real = filterPositions([position(2, -3.1, -60.0)], 'Teste');
+  assert.equal(real.length, 1);
+});
+
+test('filtro real envia as rejeitadas para a quarentena', () => {
+  const accepted = filterPositions([position(3, 0, 0)], 'Teste');
+  assert.equal(accepted.length, 0);
+  assert.equal(listQuarantine().length, 1);
+  assert.equal(listQuarantine()[0].reason, 'ZERO_COORDINATES');
+});
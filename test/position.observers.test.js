@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupHub, standardPosition } from './support/hub.env.js';
+import { startFakeSankhya } from './support/sankhya.fake.js';
+
+const hub = await setupHub({ GEOFENCE_SOURCE: 'sankhya' });
+const other = await startFakeSankhya();
+const { registerSankhyaTarget } = await import('../src/sankhya/sankhya.api.js');
+const { evaluateGeofences, flushGeofenceEvents } = await import('../src/geofence/geofence.engine.js');
+const { trackPositions, flushPresenceEvents, listDevicePresence } = await import('../src/devices/device.presence.js');
+
+const main = hub.sankhya;
+const savesOf = (sankhya, entity) => sankhya.state.saves.flat().filter((record) => record.entity === entity);
+
+before(() => {
+  registerSankhyaTarget({ url: other.url, username: 'outro', password: 'outro' });
+  // Mesmo código de geocerca em bases diferentes, em cidades diferentes
+  main.state.geofences.push([1, 'Pátio SP', 'C', -23.5, -46.6, 1000, null]);
+  other.state.geofences.push([1, 'Pátio RJ', 'C', -22.9, -43.2, 1000, null]);
+});
+
+after(async () => {
+  await other.close();
+  await hub.teardown();
+});
+
+const position = (minutes, lat, lon) =>
+  ({ ...standardPosition({ identifier: 'ABC1234', date: new Date(Date.now() - (60 - minutes) * 60000) }), lat, lon });
+
+test('geocercas e eventos são separados por Sankhya de destino', async () => {
+  const mainEvents = await evaluateGeofences([position(0, -23.6, -46.6), position(1, -23.5, -46.6)], main.url);
+  const otherEvents = await evaluateGeofences([position(0, -23.0, -43.2), position(1, -22.9, -43.2)], other.url);
+  assert.deepEqual(mainEvents.map((e) => e.event), ['ENTRY']);
+  assert.deepEqual(otherEvents.map((e) => e.event), ['ENTRY']);
+
+  await flushGeofenceEvents(other.url);
+  assert.equal(savesOf(other, 'AD_EVTCERCA').length, 1);
+  assert.equal(savesOf(main, 'AD_EVTCERCA').length, 0);
+
+  await flushGeofenceEvents(main.url);
+  assert.equal(savesOf(main, 'AD_EVTCERCA').length, 1);
+});
+
+test('eventos de presença vão para o Sankhya do dispositivo', async () => {
+  const silent = new Date(Date.now() - 24 * 3600000);
+  const now = new Date();
+  trackPositions([standardPosition({ identifier: 'ABC1234', date: silent })], 'Principal', main.url);
+  trackPositions([standardPosition({ identifier: 'ABC1234', date: silent })], 'Outra', other.url);
+  trackPositions([standardPosition({ identifier: 'ABC1234', date: now })], 'Outra', other.url);
+
+  assert.deepEqual(listDevicePresence().map((d) => [d.target, d.state]).sort(), [
+    [main.url, 'OFFLINE'],
+    [other.url, 'ONLINE'],
+  ].sort());
+
+  await flushPresenceEvents(main.url);
+  assert.equal(savesOf(main, 'AD_STATRAST').length, 0);
+  await flushPresenceEvents(other.url);
+  assert.equal(savesOf(other, 'AD_STATRAST').length, 1);
+});
@@ -0,0 +1,31 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupHub } from './support/hub.env.js';
+
+const hub = await setupHub();
+const { getVehiclesByPlate } = await import('../src/sankhya/sankhya.api.js');
+const { runInCycle } = await import('../src/jobs/job.cycle.js');
+const { CycleTimeoutError } = await import('../src/utils/errors.js');
+
+const { sankhya } = hub;
+after(() => hub.teardown());
+
+test('timeout de um ciclo não cancela o login compartilhado com outro job', async () => {
+  sankhya.state.vehicles.set('ABC1234', 5);
+  sankhya.state.loginDelayMs = 300;
+
+  const shortCycle = new AbortController();
+  const longCycle = new AbortController();
+  setTimeout(() => shortCycle.abort(new CycleTimeoutError('Curto', 50)), 50);
+
+  const [short, long] = await Promise.allSettled([
+    runInCycle(shortCycle.signal, () => getVehiclesByPlate(['ABC1234'], sankhya.url)),
+    runInCycle(longCycle.signal, () => getVehiclesByPlate(['ABC1234'], sankhya.url)),
+  ]);
+
+  assert.equal(short.status, 'rejected');
+  assert.ok(short.reason instanceof CycleTimeoutError);
+  assert.equal(long.status, 'fulfilled');
+  assert.deepEqual(long.value.map((row) => row.CODVEICULO), [5]);
+  assert.equal(sankhya.state.logins, 1);
+});
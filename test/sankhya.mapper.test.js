@@ -0,0 +1,40 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupHub } from './support/hub.env.js';
+
+const hub = await setupHub();
+const { mapAtualcargoToStandard, mapSitraxToStandard } = await import('../src/sankhya/sankhya.mapper.js');
+const { positionsMapped } = await import('../src/utils/metrics.js');
+
+after(() => hub.teardown());
+
+const mappedBy = async (source) => (await positionsMapped.get()).values
+  .filter((value) => value.labels.source === source)
+  .reduce((total, value) => total + value.value, 0);
+
+const atualcargoPosition = (plate) => ({
+  plate,
+  date: '2025-11-07 10:00:00',
+  latlong: { latitude: -23.5, longitude: -46.6 },
+  speed: 40,
+  ignition: 'ON',
+});
+
+const sitraxPosition = (placa) => ({
+  cveiPlaca: placa,
+  cequSN: placa,
+  llpoDataStatus: '07/11/2025 10:00:00',
+  llpoLatitude: -23.5,
+  llpoLongitude: -46.6,
+});
+
+test('métricas dos mappers usam o nome da instância do conector', async () => {
+  mapAtualcargoToStandard([atualcargoPosition('ABC1234'), atualcargoPosition('ISCA123')], 'Atualcargo Transp A');
+  mapAtualcargoToStandard([atualcargoPosition('DEF5678')], 'Atualcargo Transp B');
+  mapSitraxToStandard([sitraxPosition(123)], 'Sitrax Transp A');
+
+  assert.equal(await mappedBy('Atualcargo Transp A'), 2);
+  assert.equal(await mappedBy('Atualcargo Transp B'), 1);
+  assert.equal(await mappedBy('Sitrax Transp A'), 1);
+  assert.equal(await mappedBy('Atualcargo'), 0);
+});
@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupHub, standardPosition } from './support/hub.env.js';
+
+const hub = await setupHub({ SANKHYA_INSERT_CHUNK_SIZE: '1', SANKHYA_CHUNK_CONCURRENCY: '1' });
+const { processPositions } = await import('../src/sankhya/sankhya.processor.js');
+const { getLastDates } = await import('../src/sankhya/sankhya.watermarks.js');
+
+const { sankhya } = hub;
+const t1 = new Date(2025, 10, 7, 10, 0, 0);
+const t2 = new Date(2025, 10, 7, 10, 5, 0);
+const t3 = new Date(2025, 10, 7, 10, 10, 0);
+
+before(() => {
+  sankhya.state.vehicles.set('ABC1234', 5);
+  sankhya.state.vehicles.set('DEF5678', 6);
+  sankhya.state.vehicles.set('GHI9012', 7);
+});
+
+after(() => hub.teardown());
+
+const failAt = (date, message = 'FK inválida') => (entity, records) =>
+  (records.some((r) => r.date.getTime() === date.getTime()) ? message : null);
+
+test('falha em um lote não avança a marca d\'água além do registro que falhou', async () => {
+  sankhya.state.failSave = failAt(t1);
+  const positions = [t1, t2].map((date) => standardPosition({ identifier: 'ABC1234', date }));
+
+  const first = await processPositions(positions, 'Teste', sankhya.url, '1');
+  assert.equal(first.inserted, 1);
+  assert.equal(first.failedPositions.length, 1);
+  assert.equal(first.failedPositions[0].date, t1);
+
+  const marks = await getLastDates('vehicle', [5], sankhya.url);
+  assert.ok(!marks.get('5') || marks.get('5') < t1, 'a marca d\'água não deve passar de t1');
+
+  // Nova tentativa do job: o registro que falhou é gravado
+  sankhya.state.failSave = null;
+  const retry = await processPositions(first.failedPositions, 'Teste', sankhya.url, '1');
+  assert.equal(retry.inserted, 1);
+  assert.equal(retry.failedPositions.length, 0);
+
+  const stored = sankhya.state.stored.filter((row) => row.code === 5).map((row) => row.date.getTime());
+  assert.deepEqual(stored.sort(), [t1.getTime(), t2.getTime()]);
+  // t2 não avançou a marca na primeira execução; o ledger evita que seja reenviado
+  assert.deepEqual((await getLastDates('vehicle', [5], sankhya.url)).get('5'), t1);
+});
+
+test('dispositivos sem falha avançam normalmente', async () => {
+  sankhya.state.failSave = failAt(t3);
+  const positions = [
+    standardPosition({ identifier: 'DEF5678', date: t1 }),
+    standardPosition({ identifier: 'ABC1234', date: t3 }),
+  ];
+
+  const result = await processPositions(positions, 'Teste', sankhya.url, '1');
+  assert.equal(result.inserted, 1);
+  assert.equal(result.failedPositions.length, 1);
+  assert.deepEqual((await getLastDates('vehicle', [6], sankhya.url)).get('6'), t1);
+  assert.deepEqual((await getLastDates('vehicle', [5], sankhya.url)).get('5'), t1);
+  sankhya.state.failSave = null;
+});
+
+test('posições já gravadas são ignoradas', async () => {
+  const positions = [t1, t2].map((date) => standardPosition({ identifier: 'ABC1234', date }));
+  const saves = sankhya.state.saves.length;
+
+  const result = await processPositions(positions, 'Teste', sankhya.url, '1');
+  assert.equal(result.inserted, 0);
+  assert.equal(result.skipped, 2);
+  assert.equal(sankhya.state.saves.length, saves);
+});
+
+test('todos os lotes com falha transitória propagam o erro', async () => {
+  sankhya.state.failSave = () => 'http';
+  const positions = [standardPosition({ identifier: 'DEF5678', date: t3 })];
+
+  await assert.rejects(processPositions(positions, 'Teste', sankhya.url, '1'));
+  sankhya.state.failSave = null;
+});
+
+test('posições históricas não criam marca d\'água para dispositivos sem marca', async () => {
+  // Posição mais recente já gravada no Sankhya (ex: pela carga normal em outra instância)
+  sankhya.state.stored.push({ entity: 'AD_LOCATCAR', code: 7, date: t3 });
+  const positions = [standardPosition({ identifier: 'GHI9012', date: t1 })];
+
+  const result = await processPositions(positions, 'Teste', sankhya.url, '1', { historical: true });
+  assert.equal(result.inserted, 1);
+  // Sem marca criada pelas posições históricas, o seed consulta a última posição no Sankhya
+  assert.deepEqual((await getLastDates('vehicle', [7], sankhya.url)).get('7'), t3);
+});
@@ -0,0 +1,63 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupHub } from './support/hub.env.js';
+
+const hub = await setupHub();
+const { sql, buildQuery, validatePlates, validateIscaNumbers, getVehiclesByPlate, getIscasByNum } = await import('../src/sankhya/sankhya.api.js');
+const { QueryBuildError } = await import('../src/utils/errors.js');
+
+const { sankhya } = hub;
+after(() => hub.teardown());
+
+test('literais têm as aspas simples duplicadas', () => {
+  assert.equal(sql.literal("D'AVILA").text, "'D''AVILA'");
+  assert.equal(sql.literal("' OR '1'='1").text, "''' OR ''1''=''1'");
+  assert.equal(sql.literal(42).text, '42');
+  assert.equal(buildQuery`SELECT 1 FROM DUAL WHERE NOME = ${"x'; DROP TABLE TGFVEI; --"}`,
+    "SELECT 1 FROM DUAL WHERE NOME = 'x''; DROP TABLE TGFVEI; --'");
+});
+
+test('literais inválidos são rejeitados', () => {
+  assert.throws(() => sql.literal(NaN), QueryBuildError);
+  assert.throws(() => sql.literal(Infinity), QueryBuildError);
+  assert.throws(() => sql.literal(null), QueryBuildError);
+  assert.throws(() => sql.literal({ toString: () => '1' }), QueryBuildError);
+  assert.throws(() => sql.literal('ABC\n1234'), /caracteres de controle/);
+});
+
+test('inteiros aceitam apenas dígitos', () => {
+  assert.equal(sql.integer(' 12 ').text, '12');
+  assert.equal(sql.integer(-3).text, '-3');
+  for (const value of ['1 OR 1=1', '1.5', '1e3', '', '0x10', "1'"]) {
+    assert.throws(() => sql.integer(value), QueryBuildError, value);
+  }
+});
+
+test('listas vazias são rejeitadas e arrays viram listas de literais', () => {
+  assert.throws(() => sql.list([]), /Lista SQL vazia/);
+  assert.throws(() => buildQuery`SELECT 1 FROM DUAL WHERE X IN (${[]})`, QueryBuildError);
+  assert.equal(buildQuery`X IN (${['A', "B'C", 3]})`, "X IN ('A','B''C',3)");
+});
+
+test('placas e números de isca malformados são descartados', () => {
+  assert.deepEqual(
+    validatePlates(['ABC1234', ' DEF-5678 ', "ABC' OR '1'='1", 'AB1', 'ABC12345678', 'ABC 1234', 42, null]),
+    ['ABC1234', 'DEF-5678']
+  );
+  assert.deepEqual(
+    validateIscaNumbers(['12345', 'SN_01-A', "1'; DELETE FROM AD_CADISCA; --", '', 'X'.repeat(31), 7]),
+    ['12345', 'SN_01-A']
+  );
+});
+
+test('valores com formato de injeção nunca chegam ao SQL', async () => {
+  sankhya.state.vehicles.set('ABC1234', 5);
+  const rows = await getVehiclesByPlate(['ABC1234', "XYZ9999') OR ('1'='1"], sankhya.url);
+  assert.deepEqual(rows.map((row) => row.CODVEICULO), [5]);
+  assert.match(sankhya.state.queries.at(-1), /IN \('ABC1234'\)$/);
+
+  const queries = sankhya.state.queries.length;
+  assert.deepEqual(await getIscasByNum(["1' OR '1'='1"], '1', sankhya.url), []);
+  assert.equal(sankhya.state.queries.length, queries);
+  await assert.rejects(getIscasByNum(['12345'], '1 OR 1=1', sankhya.url), QueryBuildError);
+});
@@ -0,0 +1,53 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startFakeSankhya } from './sankhya.fake.js';
+
+/**
+ * Prepara o ambiente de um arquivo de teste: Sankhya falso, diretório de dados
+ * temporário e as variáveis lidas pela configuração.
+ * Deve ser chamado antes de importar os módulos do hub (a configuração é lida no import).
+ * @param {Object} [env] - Variáveis adicionais
+ */
+export async function setupHub(env = {}) {
+  const sankhya = await startFakeSankhya();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'integracao-hub-test-'));
+
+  Object.assign(process.env, {
+    SANKHYA_URL: sankhya.url,
+    SANKHYA_USER: 'teste',
+    SANKHYA_PASSWORD: 'teste',
+    DATA_DIR: dataDir,
+    HTTP_ENABLED: 'false',
+    LOG_LEVEL: 'error',
+    JOB_ENABLED_ATUALCARGO: 'false',
+    JOB_ENABLED_SITRAX: 'false',
+    ...env,
+  });
+
+  return {
+    sankhya,
+    dataDir,
+    async teardown() {
+      await sankhya.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Posição no formato padrão do hub (saída dos mappers).
+ */
+export function standardPosition({ type = 'vehicle', identifier, date, speed = 40 }) {
+  return {
+    type,
+    identifier,
+    insertValue: type === 'isca' ? `ISCA${identifier}` : identifier,
+    date,
+    lat: -23.5,
+    lon: -46.6,
+    speed,
+    ignition: 'S',
+    location: 'Teste',
+  };
+}
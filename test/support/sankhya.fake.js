@@ -0,0 +1,139 @@
+import http from 'http';
+import { format, parse } from 'date-fns';
+
+/**
+ * Sankhya falso para os testes: login, consultas do DbExplorer usadas pelo hub
+ * (cadastros, último histórico e histórico por intervalo) e DatasetSP.save.
+ *
+ * O histórico gravado fica em `state.stored` ({ entity, code, date }); cada chamada do
+ * DatasetSP.save fica em `state.saves` (eventos e alertas: { entity, values }).
+ * As geocercas (AD_CERCA) vêm de `state.geofences` (linhas no formato da consulta).
+ * Cada SQL recebido pelo DbExplorer fica em `state.queries`.
+ * `state.failSave(entity, records)` permite simular falhas: retornar uma mensagem gera
+ * um erro de serviço do Sankhya (não transitório); retornar 'http' gera um HTTP 500
+ * (transitório). `state.loginDelayMs` atrasa a resposta do login.
+ */
+
+const QUERY_DATE = 'ddMMyyyy HH:mm:ss';
+const INSERT_DATE = 'dd/MM/yyyy HH:mm:ss';
+
+const ENTITY_KEY = { AD_LOCATCAR: 'CODVEICULO', AD_LOCATISC: 'SEQUENCIA' };
+
+const inList = (sqlText) => {
+  const match = sqlText.match(/IN \(([^)]*)\)/);
+  return match ? match[1].split(',').map((value) => value.trim().replace(/^'|'$/g, '')) : [];
+};
+
+const rowsOf = (names, rows) => ({ status: '1', responseBody: { fieldsMetadata: names.map((name) => ({ name })), rows } });
+
+function answerQuery(state, sqlText) {
+  const entity = sqlText.includes('AD_LOCATISC') ? 'AD_LOCATISC' : 'AD_LOCATCAR';
+  const key = ENTITY_KEY[entity];
+
+  if (sqlText.includes('FROM TGFVEI VEI WHERE')) {
+    const plates = inList(sqlText);
+    return rowsOf(['CODVEICULO', 'PLACA'], [...state.vehicles].filter(([plate]) => plates.includes(plate)).map(([plate, code]) => [code, plate]));
+  }
+  if (sqlText.includes('FROM AD_CADISCA') && sqlText.includes('SCA.ATIVO')) {
+    const numbers = inList(sqlText);
+    return rowsOf(['SEQUENCIA', 'NUMISCA'], [...state.iscas].filter(([number]) => numbers.includes(number)).map(([number, sequencia]) => [sequencia, number]));
+  }
+  if (sqlText.includes('UltimoRegistro')) {
+    const codes = inList(sqlText);
+    const last = new Map();
+    for (const row of state.stored) {
+      if (row.entity !== entity || !codes.includes(String(row.code))) continue;
+      if (!last.has(row.code) || row.date > last.get(row.code)) last.set(row.code, row.date);
+    }
+    return rowsOf([key, 'DATHOR'], [...last].map(([code, date]) => [code, format(date, QUERY_DATE)]));
+  }
+  if (sqlText.includes('FROM AD_CERCA')) {
+    return rowsOf(['CODCERCA', 'NOME', 'TIPO', 'LATITUDE', 'LONGITUDE', 'RAIO', 'COORDENADAS'], state.geofences);
+  }
+  if (sqlText.includes('DATHOR BETWEEN')) {
+    const codes = inList(sqlText);
+    const [since, until] = [...sqlText.matchAll(/TO_DATE\('([^']+)'/g)].map(([, text]) => parse(text, INSERT_DATE, new Date()));
+    const rows = state.stored
+      .filter((row) => row.entity === entity && codes.includes(String(row.code)) && row.date >= since && row.date <= until)
+      .map((row) => [row.code, format(row.date, QUERY_DATE)]);
+    return rowsOf([key, 'DATHOR'], rows);
+  }
+  return rowsOf([], []);
+}
+
+function answerSave(state, requestBody) {
+  const entity = requestBody.entityName;
+  if (!ENTITY_KEY[entity]) {
+    state.saves.push(requestBody.records.map(({ values }) => ({ entity, values })));
+    return { status: '1', responseBody: { result: [] } };
+  }
+  const records = (requestBody.records || []).map((record) => ({
+    entity,
+    code: Number(record.foreignKey?.[ENTITY_KEY[entity]]),
+    date: parse(record.values['3'], INSERT_DATE, new Date()),
+  }));
+
+  const failure = state.failSave?.(entity, records);
+  if (failure === 'http') return null;
+  if (failure) return { status: '0', statusMessage: failure };
+
+  state.stored.push(...records);
+  state.saves.push(records);
+  return { status: '1', responseBody: { result: [] } };
+}
+
+/**
+ * Inicia o Sankhya falso em uma porta livre.
+ * @returns {Promise<{ url: string, state: Object, close: Function }>}
+ */
+export async function startFakeSankhya() {
+  const state = {
+    vehicles: new Map(), // PLACA -> CODVEICULO
+    iscas: new Map(), // NUMISCA -> SEQUENCIA
+    geofences: [],
+    stored: [],
+    queries: [],
+    saves: [],
+    failSave: null,
+    loginDelayMs: 0,
+    logins: 0,
+  };
+
+  const server = http.createServer((req, res) => {
+    let text = '';
+    req.on('data', (data) => { text += data; });
+    req.on('end', async () => {
+      const serviceName = new URL(req.url, 'http://localhost').searchParams.get('serviceName');
+      const body = text ? JSON.parse(text) : {};
+      let answer;
+      if (serviceName === 'MobileLoginSP.login') {
+        state.logins++;
+        if (state.loginDelayMs) await new Promise((resolve) => setTimeout(resolve, state.loginDelayMs));
+        answer = { status: '1', responseBody: { jsessionid: { $: 'fake-session-id' } } };
+      } else if (serviceName === 'DbExplorerSP.executeQuery') {
+        state.queries.push(body.requestBody.sql);
+        answer = answerQuery(state, body.requestBody.sql);
+      } else if (serviceName === 'DatasetSP.save') {
+        answer = answerSave(state, body.requestBody);
+      } else {
+        answer = { status: '0', statusMessage: `Serviço desconhecido: ${serviceName}` };
+      }
+
+      if (!answer) {
+        res.statusCode = 500;
+        res.end('Erro interno');
+        return;
+      }
+      // O Sankhya responde em ISO-8859-1 (ver createApiClient)
+      res.setHeader('content-type', 'application/json; charset=iso-8859-1');
+      res.end(Buffer.from(JSON.stringify(answer), 'latin1'));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    state,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,54 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupHub, standardPosition } from './support/hub.env.js';
+
+const hub = await setupHub({ DEAD_LETTER_MAX_ATTEMPTS: '3' });
+const { createTrackerJob } = await import('../src/jobs/tracker.job.js');
+const { deadLetters } = await import('../src/jobs/job.deadletter.js');
+
+const { sankhya } = hub;
+after(() => hub.teardown());
+
+/**
+ * Conector de teste: entrega as posições uma única vez, já no formato padrão.
+ */
+function fakeConnector(positions) {
+  let pending = positions;
+  return {
+    type: 'teste',
+    name: 'Teste',
+    fabricanteId: '1',
+    async authenticate() {},
+    async fetchPositions() {
+      const batch = pending;
+      pending = [];
+      return batch;
+    },
+    mapToStandard: (raw) => raw,
+    classifyError: () => null,
+    invalidateSession() {},
+  };
+}
+
+test('tentativas com falha sobrevivem ao reinício e levam a posição à dead-letter', async () => {
+  sankhya.state.vehicles.set('ABC1234', 5);
+  sankhya.state.failSave = () => 'FK inválida';
+  const connector = fakeConnector([standardPosition({ identifier: 'ABC1234', date: new Date(Date.now() - 60000) })]);
+
+  await createTrackerJob(connector).run();
+  // Reinício do processo: um novo job recupera a fila do disco
+  const restarted = createTrackerJob(connector);
+  assert.equal(restarted.state.getCache().length, 1);
+  assert.equal(deadLetters.list().length, 0);
+
+  await restarted.run();
+  assert.equal(deadLetters.list().length, 0);
+  await createTrackerJob(connector).run();
+
+  const entries = deadLetters.list();
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].attempts, 3);
+  assert.match(entries[0].error, /FK inválida/);
+  assert.equal(createTrackerJob(connector).state.getCache(), null);
+  sankhya.state.failSave = null;
+});